@@ -0,0 +1,65 @@
+/**
+ * Auto-Session Handler
+ * Snapshots open windows as their tabs change, and keeps closed ones
+ */
+
+import { autoSessionService } from '../services/autoSessionService.js';
+import { AUTO_SESSIONS } from '../utils/constants.js';
+
+// Tab changes that show up in a snapshot
+const SNAPSHOT_CHANGES = ['url', 'pinned', 'mutedInfo', 'groupId'];
+
+class AutoSessionHandler {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  /**
+   * Snapshot a window once it has been quiet for a moment
+   * @param {number} windowId - Window ID
+   */
+  scheduleSnapshot(windowId) {
+    if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+    clearTimeout(this.timers.get(windowId));
+    this.timers.set(windowId, setTimeout(() => {
+      this.timers.delete(windowId);
+      autoSessionService.snapshotWindow(windowId);
+    }, AUTO_SESSIONS.DEBOUNCE_MS));
+  }
+
+  /**
+   * Handle tab update
+   * @param {Object} changeInfo - Changed tab properties
+   * @param {Object} tab - Updated tab
+   */
+  handleTabUpdated(changeInfo, tab) {
+    if (changeInfo.status === 'complete' || SNAPSHOT_CHANGES.some(key => key in changeInfo)) {
+      this.scheduleSnapshot(tab.windowId);
+    }
+  }
+
+  /**
+   * Handle window removal
+   * The last snapshot is kept as is: the window's tabs can't be read any more.
+   * @param {number} windowId - Removed window ID
+   */
+  async handleWindowRemoved(windowId) {
+    clearTimeout(this.timers.get(windowId));
+    this.timers.delete(windowId);
+
+    await autoSessionService.closeWindow(windowId);
+  }
+
+  /**
+   * Snapshot all open windows, e.g. when the browser starts
+   * Windows left over from before a crash are recovered along the way.
+   */
+  async snapshotAllWindows() {
+    const count = await autoSessionService.snapshotAllWindows();
+    console.log('[AutoSessionHandler] Windows snapshotted:', count);
+  }
+}
+
+// Export singleton instance
+export const autoSessionHandler = new AutoSessionHandler();
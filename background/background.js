@@ -6,6 +6,9 @@
 import { storageService } from '../services/storageService.js';
 import { startupHandler } from './startupHandler.js';
 import { commandHandler } from './commandHandler.js';
+import { backupHandler } from './backupHandler.js';
+import { liveHandler } from './liveHandler.js';
+import { autoSessionHandler } from './autoSessionHandler.js';
 
 // Initialize extension on install
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -15,6 +18,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   await storageService.initialize();
   console.log('[Background] Storage initialized');
   
+  await backupHandler.scheduleBackups();
+  await autoSessionHandler.snapshotAllWindows();
+  
   if (details.reason === 'install') {
     // First time installation - could open welcome page
     // await chrome.tabs.create({ url: 'options/options.html' });
@@ -40,9 +46,66 @@ chrome.runtime.onStartup.addListener(async () => {
   console.log('[Background] Browser started');
   // Ensure storage is initialized
   await storageService.initialize();
+  await backupHandler.scheduleBackups();
+  // Recovers windows lost if the browser crashed last time
+  await autoSessionHandler.snapshotAllWindows();
   await startupHandler.handleStartup();
 });
 
+// Take scheduled backups and retry live template saves
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await backupHandler.handleAlarm(alarm);
+  await liveHandler.handleAlarm(alarm);
+});
+
+// Reschedule backups when their settings change on any page or device
+storageService.onChange(async ({ settingsChanged }) => {
+  if (settingsChanged) {
+    await backupHandler.scheduleBackups();
+  }
+});
+
+/**
+ * Keep live templates and window snapshots in step with a window's tabs
+ * @param {number} windowId - Window ID
+ */
+function handleWindowChanged(windowId) {
+  liveHandler.scheduleSync(windowId);
+  autoSessionHandler.scheduleSnapshot(windowId);
+}
+
+chrome.tabs.onCreated.addListener((tab) => {
+  handleWindowChanged(tab.windowId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  if (!removeInfo.isWindowClosing) {
+    handleWindowChanged(removeInfo.windowId);
+  }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  liveHandler.handleTabUpdated(changeInfo, tab);
+  autoSessionHandler.handleTabUpdated(changeInfo, tab);
+});
+
+chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
+  handleWindowChanged(moveInfo.windowId);
+});
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+  handleWindowChanged(attachInfo.newWindowId);
+});
+
+chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
+  handleWindowChanged(detachInfo.oldWindowId);
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  await liveHandler.handleWindowRemoved(windowId);
+  await autoSessionHandler.handleWindowRemoved(windowId);
+});
+
 // Handle keyboard commands
 chrome.commands.onCommand.addListener(async (command) => {
   console.log('[Background] Command received:', command);
@@ -74,10 +137,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 async function handleMessage(request, sender) {
   switch (request.type) {
     case 'LAUNCH_TEMPLATE':
-      return await handleLaunchTemplate(request.templateId);
+      return await handleLaunchTemplate(request.templateId, request.options);
+    
+    case 'SWITCH_TEMPLATE':
+      return await handleSwitchTemplate(request.templateId, request.windowId);
+    
+    case 'CLOSE_SESSION':
+      return await handleCloseSession(request.templateId, request.saveChanges);
+    
+    case 'UNDO_LAUNCH':
+      return await handleUndoLaunch(request.sessionId);
+    
+    case 'RESTORE_AUTO_SESSION':
+      return await handleRestoreAutoSession(request.autoSessionId);
     
     case 'SAVE_CURRENT_TABS':
-      return await handleSaveCurrentTabs(request.name);
+      return await handleSaveCurrentTabs(request.name, request.scope, request.groupId);
     
     case 'GET_STARTUP_BEHAVIOR':
       return await handleGetStartupBehavior();
@@ -89,13 +164,91 @@ async function handleMessage(request, sender) {
 
 /**
  * Handle launch template message
+ * Launching here rather than in the page keeps it running when the popup
+ * closes because a new window took focus. Progress is broadcast as
+ * LAUNCH_PROGRESS messages for pages that are still open.
+ * @param {string} templateId - Template ID
+ * @param {Object} options - Open options, defaulting to settings
+ * @returns {Promise<Object>} Result
+ */
+async function handleLaunchTemplate(templateId, options = {}) {
+  try {
+    const { templateManager } = await import('../services/templateManager.js');
+    const result = await templateManager.launchTemplate(templateId, {
+      ...options,
+      onProgress: ({ opened, total }) => {
+        chrome.runtime.sendMessage({ type: 'LAUNCH_PROGRESS', templateId, opened, total })
+          .catch(() => {}); // No page listening
+      }
+    });
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle switch template message
+ * @param {string} templateId - Template to switch to
+ * @param {number} windowId - Window to switch
+ * @returns {Promise<Object>} Result
+ */
+async function handleSwitchTemplate(templateId, windowId) {
+  try {
+    const { templateManager } = await import('../services/templateManager.js');
+    const result = await templateManager.switchToTemplate(templateId, windowId, {
+      onProgress: ({ opened, total }) => {
+        chrome.runtime.sendMessage({ type: 'LAUNCH_PROGRESS', templateId, opened, total })
+          .catch(() => {}); // No page listening
+      }
+    });
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle close session message
+ * Closing here keeps it running when the popup's own window closes.
  * @param {string} templateId - Template ID
+ * @param {boolean} saveChanges - Save the tabs back to the template first
+ * @returns {Promise<Object>} Result
+ */
+async function handleCloseSession(templateId, saveChanges) {
+  try {
+    const { templateManager } = await import('../services/templateManager.js');
+    const result = await templateManager.closeSession(templateId, saveChanges);
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle undo launch message
+ * @param {string} sessionId - Launch session ID
+ * @returns {Promise<Object>} Result
+ */
+async function handleUndoLaunch(sessionId) {
+  try {
+    const { templateManager } = await import('../services/templateManager.js');
+    const result = await templateManager.undoLaunch(sessionId);
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle restore closed window message
+ * @param {string} autoSessionId - Auto-session ID
  * @returns {Promise<Object>} Result
  */
-async function handleLaunchTemplate(templateId) {
+async function handleRestoreAutoSession(autoSessionId) {
   try {
     const { templateManager } = await import('../services/templateManager.js');
-    const result = await templateManager.launchTemplate(templateId);
+    const result = await templateManager.restoreAutoSession(autoSessionId);
     return { success: true, result };
   } catch (error) {
     return { success: false, error: error.message };
@@ -105,12 +258,14 @@ async function handleLaunchTemplate(templateId) {
 /**
  * Handle save current tabs message
  * @param {string} name - Template name
+ * @param {string} scope - Which tabs to save, see CAPTURE.SCOPES (optional)
+ * @param {number} groupId - Chrome tab group to save for the 'group' scope (optional)
  * @returns {Promise<Object>} Result
  */
-async function handleSaveCurrentTabs(name) {
+async function handleSaveCurrentTabs(name, scope, groupId) {
   try {
     const { templateManager } = await import('../services/templateManager.js');
-    const template = await templateManager.createFromCurrentTabs(name);
+    const template = await templateManager.createFromCurrentTabs(name, '', scope, { groupId });
     return { success: true, template };
   } catch (error) {
     return { success: false, error: error.message };
@@ -0,0 +1,62 @@
+/**
+ * Backup Handler
+ * Schedules automatic backups with chrome.alarms
+ */
+
+import { storageService } from '../services/storageService.js';
+import { backupService } from '../services/backupService.js';
+import { BACKUPS } from '../utils/constants.js';
+
+class BackupHandler {
+  /**
+   * Create, update or clear the backup alarm to match settings
+   */
+  async scheduleBackups() {
+    try {
+      const settings = await storageService.getSettings();
+      const period = BACKUPS.PERIOD_MINUTES[settings.backupFrequency];
+      const alarm = await chrome.alarms.get(BACKUPS.ALARM_NAME);
+
+      if (!period) {
+        if (alarm) {
+          await chrome.alarms.clear(BACKUPS.ALARM_NAME);
+          console.log('[BackupHandler] Automatic backups disabled');
+        }
+        return;
+      }
+
+      if (alarm && alarm.periodInMinutes === period) return;
+
+      // Count from the last backup so changing frequency doesn't postpone it
+      const [lastBackup] = await backupService.getBackups();
+      const elapsed = lastBackup
+        ? (Date.now() - new Date(lastBackup.createdAt).getTime()) / 60000
+        : period;
+
+      await chrome.alarms.create(BACKUPS.ALARM_NAME, {
+        delayInMinutes: Math.max(1, period - elapsed),
+        periodInMinutes: period
+      });
+      console.log('[BackupHandler] Automatic backups scheduled:', settings.backupFrequency);
+    } catch (error) {
+      console.error('[BackupHandler] Failed to schedule backups:', error);
+    }
+  }
+
+  /**
+   * Handle alarm
+   * @param {Object} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== BACKUPS.ALARM_NAME) return;
+
+    try {
+      await backupService.createBackup('scheduled');
+    } catch (error) {
+      console.error('[BackupHandler] Scheduled backup failed:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const backupHandler = new BackupHandler();
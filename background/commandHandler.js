@@ -23,6 +23,10 @@ class CommandHandler {
           await this.openPopup();
           break;
         
+        case 'close-session':
+          await this.closeSession();
+          break;
+        
         default:
           console.warn('[CommandHandler] Unknown command:', command);
       }
@@ -70,6 +74,28 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Close the tabs of the template the active tab was launched from
+   * Nothing asks first, so only tabs the template's launches opened, or
+   * that are in its live window, are closed.
+   */
+  async closeSession() {
+    try {
+      const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      const templateId = activeTab && await templateManager.findTabTemplate(activeTab);
+
+      if (!templateId) {
+        console.log('[CommandHandler] Active tab was not launched from a template');
+        return;
+      }
+
+      const result = await templateManager.closeSession(templateId, undefined, true);
+      console.log('[CommandHandler] Session closed:', templateId, result.closedTabs);
+    } catch (error) {
+      console.error('[CommandHandler] Failed to close session:', error);
+    }
+  }
+
   /**
    * Quick launch a template by index or ID
    * @param {string|number} templateRef - Template ID or index
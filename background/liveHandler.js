@@ -0,0 +1,138 @@
+/**
+ * Live Handler
+ * Keeps live templates in step with the windows they are linked to
+ */
+
+import { templateManager } from '../services/templateManager.js';
+import { sessionService } from '../services/sessionService.js';
+import { LIVE } from '../utils/constants.js';
+
+// Tab changes worth saving; title-only updates would save on every unread count
+const SYNCED_CHANGES = ['url', 'pinned', 'mutedInfo', 'groupId'];
+
+// Sync storage errors that pass once the write limits reset
+const QUOTA_ERROR = /quota|MAX_WRITE_OPERATIONS/i;
+
+class LiveHandler {
+  constructor() {
+    this.timers = new Map();
+    this.nextSyncAt = new Map();
+    this.backoffs = new Map();
+  }
+
+  /**
+   * Save a window's tabs once it has been quiet for a moment
+   * Whether the window is linked is checked when the timer fires, so
+   * unlinked windows only cost a timer. Saves of one window are spaced
+   * at least LIVE.MIN_INTERVAL_MS apart.
+   * @param {number} windowId - Window ID
+   * @param {number} delay - Quiet time in milliseconds
+   */
+  scheduleSync(windowId, delay = LIVE.DEBOUNCE_MS) {
+    if (windowId === undefined || windowId === chrome.windows.WINDOW_ID_NONE) return;
+    // While backing off, the retry alarm saves whatever changed meanwhile
+    if (this.backoffs.has(windowId)) return;
+
+    const wait = Math.max(delay, (this.nextSyncAt.get(windowId) || 0) - Date.now());
+
+    clearTimeout(this.timers.get(windowId));
+    this.timers.set(windowId, setTimeout(() => {
+      this.timers.delete(windowId);
+      this.syncWindow(windowId);
+    }, wait));
+  }
+
+  /**
+   * Handle tab update
+   * @param {Object} changeInfo - Changed tab properties
+   * @param {Object} tab - Updated tab
+   */
+  handleTabUpdated(changeInfo, tab) {
+    // Titles are settled once loading completes
+    if (changeInfo.status === 'complete' || SYNCED_CHANGES.some(key => key in changeInfo)) {
+      this.scheduleSync(tab.windowId);
+    }
+  }
+
+  /**
+   * Handle window removal
+   * @param {number} windowId - Removed window ID
+   */
+  async handleWindowRemoved(windowId) {
+    clearTimeout(this.timers.get(windowId));
+    this.timers.delete(windowId);
+    this.nextSyncAt.delete(windowId);
+    this.backoffs.delete(windowId);
+
+    try {
+      await chrome.alarms.clear(LIVE.RETRY_ALARM_PREFIX + windowId);
+    } catch (error) {
+      console.error('[LiveHandler] Failed to clear retry alarm:', error);
+    }
+
+    try {
+      await sessionService.unlinkWindow(windowId);
+    } catch (error) {
+      console.error('[LiveHandler] Failed to unlink closed window:', error);
+    }
+  }
+
+  /**
+   * Handle alarm
+   * @param {Object} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(LIVE.RETRY_ALARM_PREFIX)) return;
+
+    const windowId = Number(alarm.name.slice(LIVE.RETRY_ALARM_PREFIX.length));
+    clearTimeout(this.timers.get(windowId));
+    this.timers.delete(windowId);
+    await this.syncWindow(windowId);
+  }
+
+  /**
+   * Save a linked window into its live template
+   * @param {number} windowId - Window ID
+   */
+  async syncWindow(windowId) {
+    try {
+      const templateId = await sessionService.getLinkedTemplate(windowId);
+      if (!templateId) return;
+
+      if (await templateManager.syncFromWindow(templateId, windowId)) {
+        this.nextSyncAt.set(windowId, Date.now() + LIVE.MIN_INTERVAL_MS);
+        console.log('[LiveHandler] Live template updated:', templateId);
+      }
+      this.backoffs.delete(windowId);
+    } catch (error) {
+      if (QUOTA_ERROR.test(error?.message)) {
+        // Try again once the write limits have reset, waiting longer each time
+        const backoff = this.backoffs.has(windowId)
+          ? Math.min(this.backoffs.get(windowId) * 2, LIVE.MAX_BACKOFF_MS)
+          : LIVE.BACKOFF_MS;
+        this.backoffs.set(windowId, backoff);
+        console.warn(`[LiveHandler] Sync storage limit reached, retrying in ${backoff / 1000}s:`, error);
+        // An alarm, unlike a timer, still fires if the worker is suspended meanwhile
+        clearTimeout(this.timers.get(windowId));
+        this.timers.delete(windowId);
+        try {
+          await chrome.alarms.create(LIVE.RETRY_ALARM_PREFIX + windowId, { when: Date.now() + backoff });
+        } catch (alarmError) {
+          console.error('[LiveHandler] Failed to schedule retry:', alarmError);
+        }
+        return;
+      }
+
+      // A template that can't be saved any more stops following its window
+      console.error('[LiveHandler] Failed to update live template, unlinking:', error);
+      try {
+        await sessionService.unlinkWindow(windowId);
+      } catch (unlinkError) {
+        console.error('[LiveHandler] Failed to unlink window:', unlinkError);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const liveHandler = new LiveHandler();
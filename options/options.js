@@ -5,12 +5,33 @@
 
 import { storageService } from '../services/storageService.js';
 import { templateManager } from '../services/templateManager.js';
-import { downloadFile, readFile, calculateStorageSize } from '../utils/helpers.js';
+import { downloadFile, readFile, calculateStorageSize, formatRelativeTime, escapeHtml } from '../utils/helpers.js';
 import { MESSAGES, APP_INFO } from '../utils/constants.js';
+import { validateExclusionRule } from '../utils/validator.js';
+
+// Exclusion rule types as shown in the rule list and form
+const EXCLUSION_TYPES = {
+  domain: {
+    label: 'Domain and its subdomains',
+    placeholder: 'mail.google.com',
+    hint: 'Leaves out every page of the domain and its subdomains'
+  },
+  pattern: {
+    label: 'URL pattern',
+    placeholder: 'https://app.slack.com/*',
+    hint: 'Matches the whole URL, * stands for anything'
+  },
+  regex: {
+    label: 'Regular expression',
+    placeholder: '^https://[^/]+\\.atlassian\\.net/',
+    hint: 'Matches anywhere in the URL, ignoring case'
+  }
+};
 
 // State
 let currentSettings = null;
 let confirmCallback = null;
+let previewBackupId = null;
 
 // DOM Elements
 const elements = {};
@@ -30,9 +51,21 @@ async function init() {
   // Load template info
   await loadTemplateInfo();
   
+  // Show data kept by a failed upgrade
+  await loadMigrationBackup();
+  
+  // Load backups
+  await loadBackups();
+  
+  // Load recently deleted templates
+  await loadTrash();
+  
   // Attach event listeners
   attachEventListeners();
   
+  // Reflect changes made in other extension pages or devices
+  storageService.onChange(handleStorageChange);
+  
   console.log('[Options] Initialized');
 }
 
@@ -48,6 +81,16 @@ function cacheElements() {
   // Opening behavior
   elements.openBehaviorRadios = document.querySelectorAll('input[name="openBehavior"]');
   elements.closeExistingTabs = document.getElementById('close-existing-tabs');
+  elements.lazyLoad = document.getElementById('lazy-load');
+  elements.saveOnCloseSession = document.getElementById('save-on-close-session');
+  elements.dedupe = document.getElementById('dedupe');
+  
+  // Exclusion rules
+  elements.exclusionList = document.getElementById('exclusion-list');
+  elements.exclusionType = document.getElementById('exclusion-type');
+  elements.exclusionValue = document.getElementById('exclusion-value');
+  elements.exclusionHint = document.getElementById('exclusion-hint');
+  elements.addExclusionBtn = document.getElementById('add-exclusion-btn');
   
   // Display options
   elements.sortBy = document.getElementById('sort-by');
@@ -64,6 +107,21 @@ function cacheElements() {
   elements.importFile = document.getElementById('import-file');
   elements.templateCount = document.getElementById('template-count');
   elements.storageUsed = document.getElementById('storage-used');
+  elements.migrationBackup = document.getElementById('migration-backup');
+  elements.migrationBackupSummary = document.getElementById('migration-backup-summary');
+  elements.migrationRestoreBtn = document.getElementById('migration-restore-btn');
+  elements.migrationDeleteBtn = document.getElementById('migration-delete-btn');
+  
+  // Automatic backups
+  elements.backupFrequency = document.getElementById('backup-frequency');
+  elements.backupRetention = document.getElementById('backup-retention');
+  elements.backupList = document.getElementById('backup-list');
+  elements.backupNowBtn = document.getElementById('backup-now-btn');
+  
+  // Recently deleted
+  elements.trashRetentionDays = document.getElementById('trash-retention-days');
+  elements.trashList = document.getElementById('trash-list');
+  elements.emptyTrashBtn = document.getElementById('empty-trash-btn');
   
   // Danger zone
   elements.resetSettingsBtn = document.getElementById('reset-settings-btn');
@@ -80,6 +138,13 @@ function cacheElements() {
   elements.confirmOk = document.getElementById('confirm-ok');
   elements.confirmCancel = document.getElementById('confirm-cancel');
   
+  // Backup preview modal
+  elements.backupModal = document.getElementById('backup-modal');
+  elements.backupSummary = document.getElementById('backup-summary');
+  elements.backupTemplates = document.getElementById('backup-templates');
+  elements.backupRestore = document.getElementById('backup-restore');
+  elements.backupCancel = document.getElementById('backup-cancel');
+  
   // Help link
   elements.helpLink = document.getElementById('help-link');
 }
@@ -101,6 +166,17 @@ function attachEventListeners() {
   });
   
   elements.closeExistingTabs.addEventListener('change', handleCloseExistingTabsChange);
+  elements.lazyLoad.addEventListener('change', handleLazyLoadChange);
+  elements.saveOnCloseSession.addEventListener('change', handleSaveOnCloseSessionChange);
+  elements.dedupe.addEventListener('change', handleDedupeChange);
+  
+  // Exclusion rules
+  elements.exclusionType.addEventListener('change', updateExclusionForm);
+  elements.addExclusionBtn.addEventListener('click', handleAddExclusion);
+  elements.exclusionValue.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAddExclusion();
+  });
+  updateExclusionForm();
   
   // Display options
   elements.sortBy.addEventListener('change', handleSortByChange);
@@ -117,6 +193,17 @@ function attachEventListeners() {
   elements.exportBtn.addEventListener('click', handleExport);
   elements.importBtn.addEventListener('click', () => elements.importFile.click());
   elements.importFile.addEventListener('change', handleImport);
+  elements.migrationRestoreBtn.addEventListener('click', handleRestoreMigrationBackup);
+  elements.migrationDeleteBtn.addEventListener('click', handleDeleteMigrationBackup);
+  
+  // Automatic backups
+  elements.backupFrequency.addEventListener('change', handleBackupFrequencyChange);
+  elements.backupRetention.addEventListener('change', handleBackupRetentionChange);
+  elements.backupNowBtn.addEventListener('click', handleBackupNow);
+  
+  // Recently deleted
+  elements.trashRetentionDays.addEventListener('change', handleTrashRetentionChange);
+  elements.emptyTrashBtn.addEventListener('click', handleEmptyTrash);
   
   // Danger zone
   elements.resetSettingsBtn.addEventListener('click', handleResetSettings);
@@ -127,6 +214,11 @@ function attachEventListeners() {
   elements.confirmCancel.addEventListener('click', closeConfirmModal);
   elements.confirmModal.querySelector('.modal-backdrop').addEventListener('click', closeConfirmModal);
   
+  // Backup preview modal
+  elements.backupRestore.addEventListener('click', handleRestoreBackup);
+  elements.backupCancel.addEventListener('click', closeBackupModal);
+  elements.backupModal.querySelector('.modal-backdrop').addEventListener('click', closeBackupModal);
+  
   // Help link
   elements.helpLink.addEventListener('click', (e) => {
     e.preventDefault();
@@ -151,6 +243,29 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Handle settings and template changes from storage
+ */
+async function handleStorageChange({ templateIds, listChanged, settingsChanged, trashChanged, backupsChanged }) {
+  if (settingsChanged) {
+    currentSettings = await storageService.getSettings();
+    populateForm(currentSettings);
+  }
+  
+  if (trashChanged) {
+    await loadTrash();
+  }
+  
+  if (backupsChanged) {
+    await loadBackups();
+  }
+  
+  if (listChanged || templateIds.length > 0) {
+    await loadTemplateInfo();
+    await loadDefaultTemplateOptions();
+  }
+}
+
 /**
  * Populate form with settings
  */
@@ -167,6 +282,12 @@ function populateForm(settings) {
   if (openRadio) openRadio.checked = true;
   
   elements.closeExistingTabs.checked = settings.closeExistingTabs;
+  elements.lazyLoad.checked = settings.lazyLoad;
+  elements.saveOnCloseSession.checked = settings.saveOnCloseSession;
+  elements.dedupe.value = settings.dedupe;
+  
+  // Exclusion rules
+  renderExclusionRules(settings.exclusionRules);
   
   // Display options
   elements.sortBy.value = settings.sortBy;
@@ -174,11 +295,57 @@ function populateForm(settings) {
   elements.showFavicons.checked = settings.showFavicons;
   elements.confirmDelete.checked = settings.confirmDelete;
   
+  // Automatic backups
+  elements.backupFrequency.value = settings.backupFrequency;
+  elements.backupRetention.value = settings.backupRetention;
+  
+  // Recently deleted
+  elements.trashRetentionDays.value = settings.trashRetentionDays;
+  
   // Theme
   const themeRadio = document.querySelector(`input[name="theme"][value="${settings.theme}"]`);
   if (themeRadio) themeRadio.checked = true;
 }
 
+/**
+ * Render exclusion rules list
+ */
+function renderExclusionRules(rules) {
+  if (rules.length === 0) {
+    elements.exclusionList.innerHTML = '<div class="item-list-empty">No exclusion rules, every tab is saved</div>';
+    return;
+  }
+  
+  elements.exclusionList.innerHTML = '';
+  rules.forEach(rule => {
+    const row = document.createElement('div');
+    row.className = 'item-row';
+    row.innerHTML = `
+      <div class="item-info">
+        <div class="item-title">${escapeHtml(rule.value)}</div>
+        <div class="item-meta">${EXCLUSION_TYPES[rule.type].label}</div>
+      </div>
+      <div class="item-actions">
+        <button class="btn btn-secondary" data-action="remove">
+          <span class="btn-text">Remove</span>
+        </button>
+      </div>
+    `;
+    
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => handleRemoveExclusion(rule));
+    elements.exclusionList.appendChild(row);
+  });
+}
+
+/**
+ * Show placeholder and hint for the chosen exclusion rule type
+ */
+function updateExclusionForm() {
+  const type = EXCLUSION_TYPES[elements.exclusionType.value];
+  elements.exclusionValue.placeholder = type.placeholder;
+  elements.exclusionHint.textContent = type.hint;
+}
+
 /**
  * Load template options for default template select
  */
@@ -219,7 +386,9 @@ async function loadTemplateInfo() {
     const storageInfo = await storageService.getStorageInfo();
     if (storageInfo) {
       const sizeKB = (storageInfo.bytesInUse / 1024).toFixed(2);
-      elements.storageUsed.textContent = `${sizeKB} KB of ${(storageInfo.quota / 1024).toFixed(0)} KB`;
+      const localKB = (storageInfo.localBytesInUse / 1024).toFixed(2);
+      elements.storageUsed.textContent = 
+        `${sizeKB} KB of ${(storageInfo.quota / 1024).toFixed(0)} KB synced, ${localKB} KB on this device`;
     }
     
   } catch (error) {
@@ -227,6 +396,190 @@ async function loadTemplateInfo() {
   }
 }
 
+/**
+ * Load the data kept by a failed upgrade, if any
+ */
+async function loadMigrationBackup() {
+  try {
+    const backup = await templateManager.getMigrationBackup();
+    elements.migrationBackup.classList.toggle('hidden', !backup);
+    if (!backup) return;
+    
+    const tabCount = backup.templates.reduce((sum, t) => sum + t.tabs.length, 0);
+    elements.migrationBackupSummary.textContent = 
+      `Data from before a failed upgrade (${formatRelativeTime(backup.createdAt)}): ` +
+      describeBackup({ templateCount: backup.templates.length, tabCount });
+    
+  } catch (error) {
+    console.error('[Options] Failed to load migration backup:', error);
+  }
+}
+
+/**
+ * Load backups list
+ */
+async function loadBackups() {
+  try {
+    const backups = await templateManager.getBackups();
+    
+    if (backups.length === 0) {
+      elements.backupList.innerHTML = '<div class="item-list-empty">No backups yet</div>';
+      return;
+    }
+    
+    elements.backupList.innerHTML = '';
+    backups.forEach(backup => elements.backupList.appendChild(createBackupRow(backup)));
+    
+  } catch (error) {
+    console.error('[Options] Failed to load backups:', error);
+  }
+}
+
+/**
+ * Describe what a backup contains
+ */
+function describeBackup({ templateCount, tabCount }) {
+  return `${templateCount} template${templateCount !== 1 ? 's' : ''}, ${tabCount} tab${tabCount !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Create backup list row
+ */
+function createBackupRow(backup) {
+  const row = document.createElement('div');
+  row.className = 'item-row';
+  
+  const reasons = {
+    scheduled: 'Automatic',
+    manual: 'Manual',
+    before_restore: 'Before restore'
+  };
+  
+  row.innerHTML = `
+    <div class="item-info">
+      <div class="item-title">${escapeHtml(new Date(backup.createdAt).toLocaleString())}</div>
+      <div class="item-meta">
+        ${reasons[backup.reason] || 'Automatic'} · ${describeBackup(backup)}
+      </div>
+    </div>
+    <div class="item-actions">
+      <button class="btn btn-secondary" data-action="preview">
+        <span class="btn-text">Restore…</span>
+      </button>
+    </div>
+  `;
+  
+  row.querySelector('[data-action="preview"]').addEventListener('click', () => openBackupModal(backup.id));
+  
+  return row;
+}
+
+/**
+ * Open backup preview modal
+ */
+async function openBackupModal(backupId) {
+  try {
+    const backup = await templateManager.getBackup(backupId);
+    if (!backup) {
+      showToast('Backup not found', 'error');
+      await loadBackups();
+      return;
+    }
+    
+    previewBackupId = backupId;
+    
+    const tabCount = backup.templates.reduce((sum, t) => sum + t.tabs.length, 0);
+    elements.backupSummary.textContent = 
+      `Backup from ${formatRelativeTime(backup.createdAt)} with ${describeBackup({ templateCount: backup.templates.length, tabCount })}:`;
+    
+    elements.backupTemplates.innerHTML = '';
+    
+    if (backup.templates.length === 0) {
+      elements.backupTemplates.innerHTML = '<div class="item-list-empty">This backup has no templates</div>';
+    }
+    
+    backup.templates.forEach(template => {
+      const row = document.createElement('div');
+      row.className = 'item-row';
+      row.innerHTML = `
+        <div class="item-info">
+          <div class="item-title">${escapeHtml(template.name)}</div>
+          <div class="item-meta">${template.tabs.length} tab${template.tabs.length !== 1 ? 's' : ''}</div>
+        </div>
+      `;
+      elements.backupTemplates.appendChild(row);
+    });
+    
+    elements.backupModal.classList.add('visible');
+    
+  } catch (error) {
+    console.error('[Options] Failed to load backup:', error);
+    showToast('Failed to load backup', 'error');
+  }
+}
+
+/**
+ * Close backup preview modal
+ */
+function closeBackupModal() {
+  elements.backupModal.classList.remove('visible');
+  previewBackupId = null;
+}
+
+/**
+ * Load recently deleted templates
+ */
+async function loadTrash() {
+  try {
+    const items = await templateManager.getTrash();
+    
+    elements.emptyTrashBtn.disabled = items.length === 0;
+    
+    if (items.length === 0) {
+      elements.trashList.innerHTML = '<div class="item-list-empty">Trash is empty</div>';
+      return;
+    }
+    
+    elements.trashList.innerHTML = '';
+    items.forEach(item => elements.trashList.appendChild(createTrashRow(item)));
+    
+  } catch (error) {
+    console.error('[Options] Failed to load trash:', error);
+  }
+}
+
+/**
+ * Create trash list row
+ */
+function createTrashRow({ template, deletedAt }) {
+  const row = document.createElement('div');
+  row.className = 'item-row';
+  
+  const tabCount = template.tabs.length;
+  
+  row.innerHTML = `
+    <div class="item-info">
+      <div class="item-title">${escapeHtml(template.name)}</div>
+      <div class="item-meta">
+        Deleted ${formatRelativeTime(deletedAt)} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}
+      </div>
+    </div>
+    <div class="item-actions">
+      <button class="btn btn-secondary" data-action="restore">
+        <span class="btn-text">Restore</span>
+      </button>
+      <button class="btn btn-danger" data-action="purge">
+        <span class="btn-text">Delete Forever</span>
+      </button>
+    </div>
+  `;
+  
+  row.querySelector('[data-action="restore"]').addEventListener('click', () => handleRestoreTemplate(template.id));
+  row.querySelector('[data-action="purge"]').addEventListener('click', () => handlePurgeTemplate(template));
+  
+  return row;
+}
+
 /**
  * Toggle default template group visibility
  */
@@ -299,6 +652,106 @@ async function handleCloseExistingTabsChange(e) {
   }
 }
 
+/**
+ * Handle lazy load change
+ */
+async function handleLazyLoadChange(e) {
+  try {
+    await storageService.updateSettings({ lazyLoad: e.target.checked });
+    showToast('Settings saved', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to save setting:', error);
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Handle save on close session change
+ */
+async function handleSaveOnCloseSessionChange(e) {
+  try {
+    await storageService.updateSettings({ saveOnCloseSession: e.target.checked });
+    showToast('Settings saved', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to save setting:', error);
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Handle dedupe change
+ */
+async function handleDedupeChange(e) {
+  try {
+    await storageService.updateSettings({ dedupe: e.target.value });
+    showToast('Settings saved', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to save setting:', error);
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Handle add exclusion rule
+ */
+async function handleAddExclusion() {
+  const type = elements.exclusionType.value;
+  let value = elements.exclusionValue.value.trim();
+  
+  // Pasted URLs stand for their domain
+  if (type === 'domain' && value.includes('://')) {
+    try {
+      value = new URL(value).hostname;
+    } catch {
+      // Left for validation to reject
+    }
+  }
+  
+  const rule = { type, value: type === 'domain' ? value.toLowerCase() : value };
+  const validation = validateExclusionRule(rule);
+  if (!validation.isValid) {
+    showToast(validation.error, 'error');
+    return;
+  }
+  
+  try {
+    // Read fresh rules so rules added elsewhere aren't dropped
+    const { exclusionRules } = await storageService.getSettings();
+    if (exclusionRules.some(r => r.type === rule.type && r.value === rule.value)) {
+      showToast('That rule already exists', 'error');
+      return;
+    }
+    
+    await storageService.updateSettings({ exclusionRules: [...exclusionRules, rule] });
+    elements.exclusionValue.value = '';
+    showToast('Exclusion rule added', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to add exclusion rule:', error);
+    showToast(error.message || 'Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Handle remove exclusion rule
+ */
+async function handleRemoveExclusion(rule) {
+  try {
+    const { exclusionRules } = await storageService.getSettings();
+    await storageService.updateSettings({
+      exclusionRules: exclusionRules.filter(r => r.type !== rule.type || r.value !== rule.value)
+    });
+    showToast('Exclusion rule removed', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to remove exclusion rule:', error);
+    showToast('Failed to save settings', 'error');
+  }
+}
+
 /**
  * Handle sort by change
  */
@@ -369,6 +822,190 @@ async function handleThemeChange(e) {
   }
 }
 
+/**
+ * Handle backup frequency change
+ */
+async function handleBackupFrequencyChange(e) {
+  try {
+    await storageService.updateSettings({ backupFrequency: e.target.value });
+    showToast('Settings saved', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to save backup frequency:', error);
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Handle number of backups to keep change
+ */
+async function handleBackupRetentionChange(e) {
+  const count = parseInt(e.target.value, 10);
+  
+  try {
+    await storageService.updateSettings({ backupRetention: count });
+    showToast('Settings saved', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to save backup retention:', error);
+    showToast(error.message || 'Failed to save settings', 'error');
+    e.target.value = currentSettings.backupRetention;
+  }
+}
+
+/**
+ * Handle back up now
+ */
+async function handleBackupNow() {
+  try {
+    await templateManager.createBackup();
+    await loadBackups();
+    showToast('Backup created', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to create backup:', error);
+    showToast('Failed to create backup', 'error');
+  }
+}
+
+/**
+ * Handle restore of the previewed backup
+ */
+async function handleRestoreBackup() {
+  const backupId = previewBackupId;
+  closeBackupModal();
+  
+  try {
+    const count = await templateManager.restoreBackup(backupId);
+    await loadSettings();
+    await loadTemplateInfo();
+    await loadBackups();
+    showToast(`${count} template(s) restored from backup`, 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to restore backup:', error);
+    showToast(error.message || 'Failed to restore backup', 'error');
+  }
+}
+
+/**
+ * Handle restore of the data kept by a failed upgrade
+ */
+function handleRestoreMigrationBackup() {
+  showConfirmModal(
+    'Restore Data From Before Upgrade',
+    'Replace all templates and settings with the data from before the failed upgrade? Current data is backed up first, and the upgrade is tried again the next time the browser starts.',
+    async () => {
+      try {
+        const count = await templateManager.restoreMigrationBackup();
+        await loadSettings();
+        await loadTemplateInfo();
+        await loadMigrationBackup();
+        await loadBackups();
+        showToast(`${count} template(s) restored`, 'success');
+      } catch (error) {
+        console.error('[Options] Failed to restore migration backup:', error);
+        showToast(error.message || 'Failed to restore data', 'error');
+      }
+    }
+  );
+}
+
+/**
+ * Handle delete of the data kept by a failed upgrade
+ */
+function handleDeleteMigrationBackup() {
+  showConfirmModal(
+    'Delete Data From Before Upgrade',
+    'Delete the data kept from before the failed upgrade? This cannot be undone.',
+    async () => {
+      try {
+        await templateManager.deleteMigrationBackup();
+        await loadMigrationBackup();
+        showToast('Data from before upgrade deleted', 'success');
+      } catch (error) {
+        console.error('[Options] Failed to delete migration backup:', error);
+        showToast('Failed to delete data', 'error');
+      }
+    }
+  );
+}
+
+/**
+ * Handle trash retention change
+ */
+async function handleTrashRetentionChange(e) {
+  const days = parseInt(e.target.value, 10);
+  
+  try {
+    await storageService.updateSettings({ trashRetentionDays: days });
+    await loadTrash();
+    showToast('Settings saved', 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to save trash retention:', error);
+    showToast(error.message || 'Failed to save settings', 'error');
+    e.target.value = currentSettings.trashRetentionDays;
+  }
+}
+
+/**
+ * Handle restore template from trash
+ */
+async function handleRestoreTemplate(templateId) {
+  try {
+    await templateManager.restoreTemplate(templateId);
+    await loadTrash();
+    await loadTemplateInfo();
+    await loadDefaultTemplateOptions();
+    showToast(MESSAGES.RESTORE_SUCCESS, 'success');
+    
+  } catch (error) {
+    console.error('[Options] Failed to restore template:', error);
+    showToast(error.message || 'Failed to restore template', 'error');
+  }
+}
+
+/**
+ * Handle permanently delete template from trash
+ */
+function handlePurgeTemplate(template) {
+  confirmDeletion(
+    'Delete Forever',
+    `Permanently delete "${template.name}"? This action cannot be undone!`,
+    async () => {
+      try {
+        await templateManager.purgeTemplate(template.id);
+        await loadTrash();
+        showToast(MESSAGES.PURGE_SUCCESS, 'success');
+      } catch (error) {
+        console.error('[Options] Failed to purge template:', error);
+        showToast('Failed to delete template', 'error');
+      }
+    }
+  );
+}
+
+/**
+ * Handle empty trash
+ */
+function handleEmptyTrash() {
+  confirmDeletion(
+    'Empty Trash',
+    'Permanently delete all templates in the trash? This action cannot be undone!',
+    async () => {
+      try {
+        await templateManager.emptyTrash();
+        await loadTrash();
+        showToast('Trash emptied', 'success');
+      } catch (error) {
+        console.error('[Options] Failed to empty trash:', error);
+        showToast('Failed to empty trash', 'error');
+      }
+    }
+  );
+}
+
 /**
  * Handle export templates
  */
@@ -455,13 +1092,14 @@ function handleResetSettings() {
 function handleClearTemplates() {
   showConfirmModal(
     'Delete All Templates',
-    'Permanently delete all templates? This action cannot be undone!',
+    'Move all templates to the trash? You can restore them from Recently Deleted.',
     async () => {
       try {
         await storageService.clearTemplates();
         await loadTemplateInfo();
         await loadDefaultTemplateOptions();
-        showToast('All templates deleted', 'success');
+        await loadTrash();
+        showToast('All templates moved to trash', 'success');
       } catch (error) {
         console.error('[Options] Failed to clear templates:', error);
         showToast('Failed to delete templates', 'error');
@@ -480,6 +1118,17 @@ function showConfirmModal(title, message, callback) {
   elements.confirmModal.classList.add('visible');
 }
 
+/**
+ * Ask before deleting, unless confirmations are turned off in settings
+ */
+function confirmDeletion(title, message, callback) {
+  if (!currentSettings.confirmDelete) {
+    callback();
+    return;
+  }
+  showConfirmModal(title, message, callback);
+}
+
 /**
  * Close confirmation modal
  */
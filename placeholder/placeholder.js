@@ -0,0 +1,143 @@
+/**
+ * QuickSessions Placeholder Page
+ * Stands in for a browser, file or extension page saved in a template,
+ * since extensions can't open every such page themselves
+ */
+
+import { isRestrictedUrl } from '../utils/validator.js';
+
+// Icons and hints by kind of page
+const KINDS = {
+  file: {
+    icon: '📄',
+    hint: 'This local file can only be reopened once QuickSessions is allowed to access file URLs.'
+  },
+  allowedFile: {
+    icon: '📄',
+    hint: 'QuickSessions may access file URLs now, so this local file can be reopened.'
+  },
+  extension: {
+    icon: '🧩',
+    hint: 'This page belongs to another extension. If opening fails, copy the URL and paste it into the address bar.'
+  },
+  browser: {
+    icon: '⚙️',
+    hint: 'The browser doesn\'t let extensions open most of its own pages. If opening fails, copy the URL and paste it into the address bar.'
+  }
+};
+
+// DOM Elements
+const elements = {
+  icon: null,
+  title: null,
+  url: null,
+  hint: null,
+  status: null,
+  openBtn: null,
+  copyBtn: null
+};
+
+let savedUrl = null;
+
+/**
+ * Initialize placeholder page
+ */
+async function init() {
+  cacheElements();
+
+  const params = new URLSearchParams(location.search);
+  savedUrl = params.get('url');
+  if (!isRestrictedUrl(savedUrl)) {
+    elements.title.textContent = 'Nothing to show here';
+    elements.openBtn.style.display = 'none';
+    elements.copyBtn.style.display = 'none';
+    return;
+  }
+
+  // The tab strip shows the saved page's title
+  const title = params.get('title') || savedUrl;
+  document.title = title;
+  elements.title.textContent = title;
+  elements.url.textContent = savedUrl;
+
+  const kind = await getKind(savedUrl);
+  elements.icon.textContent = KINDS[kind].icon;
+  elements.hint.textContent = KINDS[kind].hint;
+
+  if (kind === 'file') {
+    elements.openBtn.textContent = 'Allow File Access';
+    elements.openBtn.addEventListener('click', openExtensionDetails);
+  } else {
+    elements.openBtn.addEventListener('click', openSavedUrl);
+  }
+  elements.copyBtn.addEventListener('click', copySavedUrl);
+}
+
+/**
+ * Cache DOM elements
+ */
+function cacheElements() {
+  elements.icon = document.getElementById('page-icon');
+  elements.title = document.getElementById('page-title');
+  elements.url = document.getElementById('page-url');
+  elements.hint = document.getElementById('page-hint');
+  elements.status = document.getElementById('page-status');
+  elements.openBtn = document.getElementById('open-btn');
+  elements.copyBtn = document.getElementById('copy-btn');
+}
+
+/**
+ * Tell which kind of restricted page a URL is
+ */
+async function getKind(url) {
+  const protocol = new URL(url).protocol;
+  if (protocol === 'file:') {
+    // The placeholder may be left over from before file access was allowed
+    return await chrome.extension.isAllowedFileSchemeAccess() ? 'allowedFile' : 'file';
+  }
+  return protocol === 'chrome-extension:' ? 'extension' : 'browser';
+}
+
+/**
+ * Replace this placeholder with the saved page, where the browser allows it
+ */
+async function openSavedUrl() {
+  try {
+    const tab = await chrome.tabs.getCurrent();
+    await chrome.tabs.update(tab.id, { url: savedUrl });
+  } catch (error) {
+    console.warn('[Placeholder] Failed to open saved page:', error);
+    showStatus('The browser did not allow opening this page. Copy the URL instead.', true);
+  }
+}
+
+/**
+ * Open the extension's details page, where file access is allowed
+ */
+async function openExtensionDetails() {
+  await chrome.tabs.create({ url: `chrome://extensions/?id=${chrome.runtime.id}` });
+}
+
+/**
+ * Copy the saved page's URL to the clipboard
+ */
+async function copySavedUrl() {
+  try {
+    await navigator.clipboard.writeText(savedUrl);
+    showStatus('URL copied');
+  } catch (error) {
+    console.error('[Placeholder] Failed to copy URL:', error);
+    showStatus('Failed to copy URL', true);
+  }
+}
+
+/**
+ * Show a short status message below the buttons
+ */
+function showStatus(message, isError = false) {
+  elements.status.textContent = message;
+  elements.status.classList.toggle('error', isError);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
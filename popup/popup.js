@@ -11,9 +11,14 @@ import {
   truncate, 
   debounce,
   getFaviconUrl,
-  escapeHtml 
+  escapeHtml,
+  describeExclusionRule,
+  getFolderPaths
 } from '../utils/helpers.js';
-import { MESSAGES } from '../utils/constants.js';
+import { MESSAGES, UI, FOLDERS } from '../utils/constants.js';
+
+// Value of the "New group…" choice in tab group selects
+const NEW_GROUP_OPTION = '__new__';
 
 // State
 let currentTemplates = [];
@@ -21,6 +26,18 @@ let currentSort = { by: 'lastUsed', order: 'desc' };
 let currentSearch = '';
 let editingTemplateId = null;
 let deletingTemplateId = null;
+let launchingTemplateId = null;
+let launchReport = null;
+let currentRevision = null;
+let liveTemplateIds = new Set();
+let promotingAutoSessionId = null;
+let closingTemplateId = null;
+let openSessionCounts = {};
+let saveIncludedUrls = new Set();
+let collapsedFolders = new Set();
+let movingTemplateId = null;
+let confirmCallback = null;
+let toastTimeout = null;
 
 // DOM Elements
 const elements = {
@@ -28,9 +45,12 @@ const elements = {
   templatesContainer: null,
   emptyState: null,
   loading: null,
+  undoBar: null,
   
   // Buttons
   settingsBtn: null,
+  trashBtn: null,
+  closedBtn: null,
   newTemplateBtn: null,
   saveCurrentBtn: null,
   emptySaveBtn: null,
@@ -48,6 +68,10 @@ const elements = {
   newModal: null,
   editModal: null,
   deleteModal: null,
+  trashModal: null,
+  closedModal: null,
+  historyModal: null,
+  reportModal: null,
   
   // Toast
   toast: null,
@@ -67,7 +91,12 @@ async function init() {
   attachEventListeners();
   
   // Load initial data
+  collapsedFolders = new Set(await storageService.getCollapsedFolders());
   await loadTemplates();
+  await renderUndoBar();
+  
+  // Re-render when templates change in another context
+  storageService.onChange(handleStorageChange);
   
   // Check for trigger from keyboard shortcut
   checkForTrigger();
@@ -83,9 +112,12 @@ function cacheElements() {
   elements.templatesContainer = document.getElementById('templates-container');
   elements.emptyState = document.getElementById('empty-state');
   elements.loading = document.getElementById('loading');
+  elements.undoBar = document.getElementById('undo-bar');
   
   // Buttons
   elements.settingsBtn = document.getElementById('settings-btn');
+  elements.trashBtn = document.getElementById('trash-btn');
+  elements.closedBtn = document.getElementById('closed-btn');
   elements.newTemplateBtn = document.getElementById('new-template-btn');
   elements.saveCurrentBtn = document.getElementById('save-current-btn');
   elements.emptySaveBtn = document.getElementById('empty-save-btn');
@@ -103,6 +135,10 @@ function cacheElements() {
   elements.newModal = document.getElementById('new-modal');
   elements.editModal = document.getElementById('edit-modal');
   elements.deleteModal = document.getElementById('delete-modal');
+  elements.trashModal = document.getElementById('trash-modal');
+  elements.closedModal = document.getElementById('closed-modal');
+  elements.historyModal = document.getElementById('history-modal');
+  elements.reportModal = document.getElementById('report-modal');
   
   // Toast
   elements.toast = document.getElementById('toast');
@@ -116,6 +152,16 @@ function attachEventListeners() {
   // Settings button
   elements.settingsBtn.addEventListener('click', openSettings);
   
+  // Undo launch
+  document.getElementById('undo-launch-btn').addEventListener('click', handleUndoLaunch);
+  
+  // Trash
+  elements.trashBtn.addEventListener('click', openTrashModal);
+  document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+  
+  // Recently closed windows
+  elements.closedBtn.addEventListener('click', openClosedModal);
+  
   // Action buttons
   elements.newTemplateBtn.addEventListener('click', () => openModal('new-modal'));
   elements.saveCurrentBtn.addEventListener('click', () => openSaveCurrentModal());
@@ -142,10 +188,29 @@ function attachEventListeners() {
   document.getElementById('new-template-confirm').addEventListener('click', handleNewTemplateConfirm);
   document.getElementById('edit-template-confirm').addEventListener('click', handleEditConfirm);
   document.getElementById('delete-template-confirm').addEventListener('click', handleDeleteConfirm);
+  document.getElementById('launch-template-confirm').addEventListener('click', handleLaunchConfirm);
+  document.getElementById('promote-template-confirm').addEventListener('click', handlePromoteConfirm);
+  document.getElementById('close-session-confirm').addEventListener('click', handleCloseSessionConfirm);
+  document.getElementById('move-confirm').addEventListener('click', handleMoveConfirm);
+  document.getElementById('confirm-ok').addEventListener('click', handleConfirmOk);
+  
+  // Save modal: Which tabs to save
+  document.getElementById('save-scope').addEventListener('change', updateSaveTabCount);
+  document.getElementById('save-group').addEventListener('change', updateSaveTabCount);
   
   // Edit modal: Add tab button
   document.getElementById('add-tab-btn').addEventListener('click', showAddTabDialog);
   
+  // Edit modal: History
+  document.getElementById('edit-history-btn').addEventListener('click', openHistoryModal);
+  document.getElementById('history-from').addEventListener('change', renderHistoryDiff);
+  document.getElementById('history-to').addEventListener('change', renderHistoryDiff);
+  document.getElementById('history-restore-btn').addEventListener('click', handleRestoreRevision);
+  
+  // Launch report
+  document.getElementById('report-edit-btn').addEventListener('click', handleReportEdit);
+  document.getElementById('report-drop-btn').addEventListener('click', handleDropBrokenTabs);
+  
   // Close modals on backdrop click
   document.querySelectorAll('.modal-backdrop').forEach(backdrop => {
     backdrop.addEventListener('click', (e) => {
@@ -158,24 +223,33 @@ function attachEventListeners() {
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'TRIGGER_SAVE_CURRENT') {
       openSaveCurrentModal();
+    } else if (request.type === 'LAUNCH_PROGRESS') {
+      showToast(`${request.opened}/${request.total} opened`);
     }
   });
 }
 
 /**
  * Load templates from storage
+ * @param {boolean} showSpinner - Show loading state while fetching
  */
-async function loadTemplates() {
+async function loadTemplates(showSpinner = true) {
   try {
-    showLoading(true);
+    if (showSpinner) showLoading(true);
     
-    const templates = await templateManager.getTemplates({
-      sortBy: currentSort.by,
-      sortOrder: currentSort.order,
-      search: currentSearch
-    });
+    const [templates, linkedIds, sessionCounts] = await Promise.all([
+      templateManager.getTemplates({
+        sortBy: currentSort.by,
+        sortOrder: currentSort.order,
+        search: currentSearch
+      }),
+      templateManager.getLinkedTemplateIds(),
+      templateManager.getOpenSessionCounts()
+    ]);
     
     currentTemplates = templates;
+    liveTemplateIds = new Set(linkedIds);
+    openSessionCounts = sessionCounts;
     renderTemplates(templates);
     
   } catch (error) {
@@ -186,6 +260,59 @@ async function loadTemplates() {
   }
 }
 
+/**
+ * Handle template changes made by this or another extension page
+ */
+async function handleStorageChange({ templateIds, listChanged, trashChanged, sessionsChanged, linksChanged, autoSessionsChanged }) {
+  if (trashChanged && elements.trashModal.classList.contains('visible')) {
+    await renderTrash();
+  }
+  
+  if (autoSessionsChanged && elements.closedModal.classList.contains('visible')) {
+    await renderClosedWindows();
+  }
+  
+  if (sessionsChanged) {
+    await renderUndoBar();
+  }
+  
+  if (listChanged || linksChanged || sessionsChanged) {
+    await loadTemplates(false);
+  } else if (templateIds.length > 0) {
+    await refreshTemplateCards(templateIds);
+  }
+  
+  // Keep an open edit modal in step with changes made elsewhere
+  if (editingTemplateId && templateIds.includes(editingTemplateId)) {
+    const template = await templateManager.getTemplate(editingTemplateId);
+    if (template) renderEditTabs(template);
+    
+    if (elements.historyModal.classList.contains('visible')) {
+      await renderHistory();
+    }
+  }
+}
+
+/**
+ * Re-render only the cards of changed templates
+ */
+async function refreshTemplateCards(templateIds) {
+  for (const templateId of templateIds) {
+    const card = elements.templatesContainer.querySelector(`[data-template-id="${templateId}"]`);
+    const template = await templateManager.getTemplate(templateId);
+    const previous = currentTemplates.find(t => t.id === templateId);
+    
+    if (!card || !template || previous?.folder !== template.folder) {
+      // Template appeared, disappeared, moved or now matches the search
+      await loadTemplates(false);
+      return;
+    }
+    
+    card.replaceWith(createTemplateCard(template));
+    currentTemplates = currentTemplates.map(t => t.id === templateId ? template : t);
+  }
+}
+
 /**
  * Render templates list
  */
@@ -201,12 +328,98 @@ function renderTemplates(templates) {
   elements.emptyState.classList.remove('visible');
   elements.templatesContainer.style.display = 'block';
   
+  appendFolderContents(elements.templatesContainer, buildFolderTree(templates));
+}
+
+/**
+ * Group templates into nested folders, keeping their sort order within each folder
+ */
+function buildFolderTree(templates) {
+  const root = { path: '', folders: new Map(), templates: [] };
+  
   templates.forEach(template => {
-    const card = createTemplateCard(template);
-    elements.templatesContainer.appendChild(card);
+    let node = root;
+    getFolderPaths(template.folder).forEach(path => {
+      if (!node.folders.has(path)) {
+        node.folders.set(path, { path, folders: new Map(), templates: [] });
+      }
+      node = node.folders.get(path);
+    });
+    node.templates.push(template);
+  });
+  
+  return root;
+}
+
+/**
+ * Render a folder's subfolders, then its own templates
+ */
+function appendFolderContents(container, node) {
+  [...node.folders.values()]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .forEach(folder => container.appendChild(createFolderSection(folder)));
+  
+  node.templates.forEach(template => {
+    container.appendChild(createTemplateCard(template));
   });
 }
 
+/**
+ * Create collapsible folder section element
+ */
+function createFolderSection(folder) {
+  const section = document.createElement('div');
+  section.className = 'folder-section';
+  section.dataset.folder = folder.path;
+  
+  // Search results are shown in full
+  const collapsed = !currentSearch && collapsedFolders.has(folder.path);
+  section.classList.toggle('collapsed', collapsed);
+  
+  const name = folder.path.split(FOLDERS.SEPARATOR).pop();
+  const count = countFolderTemplates(folder);
+  
+  section.innerHTML = `
+    <button class="folder-header" title="${escapeHtml(folder.path)}" aria-expanded="${!collapsed}">
+      <span class="folder-toggle">▾</span>
+      <span class="folder-name">📁 ${escapeHtml(name)}</span>
+      <span class="folder-count">${count}</span>
+    </button>
+    <div class="folder-content"></div>
+  `;
+  
+  section.querySelector('.folder-header').addEventListener('click', () => toggleFolder(section));
+  appendFolderContents(section.querySelector('.folder-content'), folder);
+  
+  return section;
+}
+
+/**
+ * Count the templates in a folder and its subfolders
+ */
+function countFolderTemplates(folder) {
+  return [...folder.folders.values()].reduce(
+    (count, subfolder) => count + countFolderTemplates(subfolder),
+    folder.templates.length
+  );
+}
+
+/**
+ * Collapse or expand a folder section, remembering the choice
+ */
+async function toggleFolder(section) {
+  const collapsed = !section.classList.contains('collapsed');
+  section.classList.toggle('collapsed', collapsed);
+  section.querySelector('.folder-header').setAttribute('aria-expanded', String(!collapsed));
+  
+  if (collapsed) {
+    collapsedFolders.add(section.dataset.folder);
+  } else {
+    collapsedFolders.delete(section.dataset.folder);
+  }
+  await storageService.setCollapsedFolders([...collapsedFolders]);
+}
+
 /**
  * Create template card element
  */
@@ -216,6 +429,8 @@ function createTemplateCard(template) {
   card.dataset.templateId = template.id;
   
   const tabCount = template.tabs.length;
+  const groupCount = (template.groups || []).length;
+  const windowCount = (template.windows || []).length;
   const lastUsed = template.lastUsedAt 
     ? formatRelativeTime(template.lastUsedAt)
     : 'Never used';
@@ -236,6 +451,20 @@ function createTemplateCard(template) {
         <button class="template-action-btn launch" title="Launch template" data-action="launch">
           ▶️
         </button>
+        <button class="template-action-btn" title="Launch with options…" data-action="launch-options">
+          ⏩
+        </button>
+        <button class="template-action-btn" title="Switch this window to template" data-action="switch">
+          🔀
+        </button>
+        ${openSessionCounts[template.id] ? `
+          <button class="template-action-btn" title="Close session (${openSessionCounts[template.id]} open tab${openSessionCounts[template.id] !== 1 ? 's' : ''})" data-action="close-session">
+            ⏹️
+          </button>
+        ` : ''}
+        <button class="template-action-btn" title="Move to folder" data-action="move">
+          📁
+        </button>
         <button class="template-action-btn edit" title="Edit template" data-action="edit">
           ✏️
         </button>
@@ -246,14 +475,36 @@ function createTemplateCard(template) {
     </div>
     <div class="template-meta">
       <span class="template-meta-item">${tabCount} tab${tabCount !== 1 ? 's' : ''}</span>
+      ${windowCount > 1 ? `
+        <span class="template-meta-item">${windowCount} windows</span>
+      ` : ''}
+      ${groupCount > 0 ? `
+        <span class="template-meta-item">${groupCount} group${groupCount !== 1 ? 's' : ''}</span>
+      ` : ''}
       <span class="template-meta-item">Last used ${lastUsed}</span>
+      ${template.storageArea === 'local' ? `
+        <span class="template-meta-item" title="${template.syncEnabled === false ? 'Stored on this device only' : 'Sync storage is full, stored on this device'}">
+          💻 Local
+        </span>
+      ` : ''}
+      ${liveTemplateIds.has(template.id) ? `
+        <span class="template-meta-item" title="Changes to its window are saved automatically">
+          🔗 Live
+          <button class="template-unlink-btn" title="Stop syncing with the window" data-action="unlink">Unlink</button>
+        </span>
+      ` : ''}
     </div>
   `;
   
   // Attach action listeners
   card.querySelector('[data-action="launch"]').addEventListener('click', () => launchTemplate(template.id));
+  card.querySelector('[data-action="launch-options"]').addEventListener('click', () => openLaunchModal(template.id));
+  card.querySelector('[data-action="switch"]').addEventListener('click', () => switchToTemplate(template.id));
+  card.querySelector('[data-action="close-session"]')?.addEventListener('click', () => openCloseSessionModal(template.id));
+  card.querySelector('[data-action="move"]').addEventListener('click', () => openMoveModal(template.id));
   card.querySelector('[data-action="edit"]').addEventListener('click', () => openEditModal(template.id));
   card.querySelector('[data-action="delete"]').addEventListener('click', () => openDeleteModal(template.id));
+  card.querySelector('[data-action="unlink"]')?.addEventListener('click', () => unlinkTemplate(template.id));
   
   return card;
 }
@@ -313,8 +564,10 @@ async function openSaveCurrentModal() {
       return;
     }
     
-    document.getElementById('save-tab-count').textContent = 
-      `${validTabs.length} tab${validTabs.length !== 1 ? 's' : ''} will be saved`;
+    document.getElementById('save-scope').value = 'window';
+    saveIncludedUrls = new Set();
+    await renderSaveGroups();
+    await updateSaveTabCount();
     
     openModal('save-modal');
     
@@ -329,12 +582,140 @@ async function openSaveCurrentModal() {
   }
 }
 
+/**
+ * Fill the save modal's tab group picker, preferring the current tab's group
+ */
+async function renderSaveGroups() {
+  const [groups, [activeTab]] = await Promise.all([
+    tabService.getCurrentWindowGroups(),
+    chrome.tabs.query({ active: true, currentWindow: true })
+  ]);
+  
+  const groupSelect = document.getElementById('save-group');
+  groupSelect.innerHTML = groups.map(group => 
+    `<option value="${escapeHtml(String(group.id))}">${escapeHtml(group.title || 'Unnamed group')} (${escapeHtml(group.color)})</option>`
+  ).join('');
+  
+  if (activeTab && groups.some(group => group.id === activeTab.groupId)) {
+    groupSelect.value = String(activeTab.groupId);
+  }
+  
+  document.querySelector('#save-scope option[value="group"]').disabled = groups.length === 0;
+}
+
+/**
+ * Get the save modal's chosen scope, and the excluded tabs to save anyway
+ */
+function getSaveScope() {
+  const scope = document.getElementById('save-scope').value;
+  const groupId = scope === 'group' ? Number(document.getElementById('save-group').value) : undefined;
+  return { scope, groupId, include: [...saveIncludedUrls] };
+}
+
+/**
+ * Show how many tabs the save modal will capture
+ */
+async function updateSaveTabCount() {
+  const { scope, groupId } = getSaveScope();
+  const countText = document.getElementById('save-tab-count');
+  
+  document.getElementById('save-group-field').style.display = scope === 'group' ? 'block' : 'none';
+  document.getElementById('save-scope-hint').textContent = scope === 'all_windows'
+    ? 'Each window is restored with its own tabs, size and position'
+    : scope === 'highlighted'
+      ? 'Ctrl- or Shift-click tabs in the tab strip to select them'
+      : '';
+  
+  // Excluded tabs are listed whether or not they are included anyway
+  const { exclusionRules } = await storageService.getSettings();
+  
+  if (scope === 'all_windows') {
+    const { tabs, windows, excluded } = await tabService.getAllWindowsTabs(false, { rules: exclusionRules });
+    const count = tabs.length + excluded.filter(({ tab }) => saveIncludedUrls.has(tab.url)).length;
+    countText.textContent = 
+      `${count} tab${count !== 1 ? 's' : ''} in ${windows.length} window${windows.length !== 1 ? 's' : ''} will be saved`;
+    renderSaveWarnings(await tabService.getCaptureWarnings(tabs));
+    renderSaveExcluded(excluded);
+  } else {
+    const tabs = await tabService.getScopeTabs(scope, { groupId });
+    const { tabs: keptTabs, excluded } = tabService.applyExclusions(tabService.filterValidTabs(tabs), { rules: exclusionRules });
+    const excludedTabs = new Set(excluded.map(({ tab }) => tab));
+    const count = keptTabs.length + excluded.filter(({ tab }) => saveIncludedUrls.has(tab.url)).length;
+    countText.textContent = 
+      `${count} tab${count !== 1 ? 's' : ''} will be saved`;
+    renderSaveWarnings(await tabService.getCaptureWarnings(tabs.filter(tab => !excludedTabs.has(tab))));
+    renderSaveExcluded(excluded);
+  }
+}
+
+/**
+ * List the tabs left out by exclusion rules, each with an "include anyway" choice
+ */
+function renderSaveExcluded(excluded) {
+  document.getElementById('save-excluded').style.display = excluded.length > 0 ? 'block' : 'none';
+  document.getElementById('save-excluded-summary').textContent = 
+    `${excluded.length} tab${excluded.length !== 1 ? 's' : ''} left out by your exclusion rules:`;
+  
+  const excludedList = document.getElementById('save-excluded-list');
+  excludedList.innerHTML = '';
+  excluded.forEach(({ tab, rule }) => {
+    const item = document.createElement('div');
+    item.className = 'tab-item';
+    item.innerHTML = `
+      <div class="tab-item-info">
+        <div class="tab-item-title">${escapeHtml(tab.title || tab.url)}</div>
+        <div class="tab-item-url">${escapeHtml(truncate(tab.url, 50))}</div>
+        <div class="tab-item-url">Matches ${escapeHtml(describeExclusionRule(rule))}</div>
+      </div>
+      <label class="form-checkbox exclusion-include">
+        <input type="checkbox" ${saveIncludedUrls.has(tab.url) ? 'checked' : ''} />
+        <span>Include anyway</span>
+      </label>
+    `;
+    
+    item.querySelector('input').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        saveIncludedUrls.add(tab.url);
+      } else {
+        saveIncludedUrls.delete(tab.url);
+      }
+      updateSaveTabCount();
+    });
+    excludedList.appendChild(item);
+  });
+}
+
+/**
+ * List the tabs the save modal can't capture as they are
+ */
+function renderSaveWarnings(warnings) {
+  document.getElementById('save-warnings').style.display = warnings.length > 0 ? 'block' : 'none';
+  document.getElementById('save-warnings-summary').textContent = 
+    `${warnings.length} tab${warnings.length !== 1 ? 's' : ''} can't be restored exactly:`;
+  
+  const warningsList = document.getElementById('save-warnings-list');
+  warningsList.innerHTML = '';
+  warnings.forEach(warning => {
+    const item = document.createElement('div');
+    item.className = 'tab-item';
+    item.innerHTML = `
+      <div class="tab-item-info">
+        <div class="tab-item-title">${escapeHtml(warning.title)}</div>
+        <div class="tab-item-url">${escapeHtml(truncate(warning.url, 50))}</div>
+        <div class="tab-item-url report-reason">${escapeHtml(warning.reason)}</div>
+      </div>
+    `;
+    warningsList.appendChild(item);
+  });
+}
+
 /**
  * Handle save current tabs confirm
  */
 async function handleSaveCurrentConfirm() {
   const nameInput = document.getElementById('save-template-name');
   const descriptionInput = document.getElementById('save-template-description');
+  const { scope, groupId, include } = getSaveScope();
   
   const name = nameInput.value.trim();
   const description = descriptionInput.value.trim();
@@ -346,7 +727,7 @@ async function handleSaveCurrentConfirm() {
   }
   
   try {
-    await templateManager.createFromCurrentTabs(name, description);
+    await templateManager.createFromCurrentTabs(name, description, scope, { groupId, include });
     
     closeModal('save-modal');
     nameInput.value = '';
@@ -414,9 +795,23 @@ async function openEditModal(templateId) {
     // Populate form
     document.getElementById('edit-template-name').value = template.name;
     document.getElementById('edit-template-description').value = template.description || '';
+    document.getElementById('edit-template-sync').checked = template.syncEnabled !== false;
+    document.getElementById('edit-template-live').checked = template.live === true;
+    document.getElementById('edit-template-storage-hint').textContent = 
+      template.syncEnabled !== false && template.storageArea === 'local'
+        ? 'Sync storage is full, this template is currently stored on this device'
+        : 'Uncheck to keep this template on this device only';
+    
+    // Launch settings, empty for options that use the defaults
+    const launchOptions = template.launchOptions || {};
+    document.querySelectorAll('#edit-launch-settings [data-option]').forEach(select => {
+      const value = launchOptions[select.dataset.option];
+      select.value = value === undefined ? '' : String(value);
+    });
+    document.getElementById('edit-launch-settings').open = Object.keys(launchOptions).length > 0;
     
     // Render tabs
-    renderEditTabs(template.tabs);
+    renderEditTabs(template);
     
     openModal('edit-modal');
     
@@ -429,7 +824,9 @@ async function openEditModal(templateId) {
 /**
  * Render tabs in edit modal
  */
-function renderEditTabs(tabs) {
+function renderEditTabs(template) {
+  const { tabs } = template;
+  const groups = template.groups || [];
   const tabsList = document.getElementById('edit-tabs-list');
   const tabCount = document.getElementById('edit-tab-count');
   
@@ -442,8 +839,19 @@ function renderEditTabs(tabs) {
   
   tabsList.innerHTML = '';
   
+  const windowCount = (template.windows || []).length;
+  
   tabs.forEach((tab, index) => {
-    const tabItem = createTabItem(tab, index);
+    // Label where each saved window starts
+    const windowIndex = tab.windowIndex || 0;
+    if (windowCount > 1 && (index === 0 || windowIndex !== (tabs[index - 1].windowIndex || 0))) {
+      const header = document.createElement('div');
+      header.className = 'tabs-list-window';
+      header.textContent = `Window ${windowIndex + 1}`;
+      tabsList.appendChild(header);
+    }
+    
+    const tabItem = createTabItem(tab, index, groups);
     tabsList.appendChild(tabItem);
   });
 }
@@ -451,24 +859,45 @@ function renderEditTabs(tabs) {
 /**
  * Create tab item element
  */
-function createTabItem(tab, index) {
+function createTabItem(tab, index, groups) {
   const item = document.createElement('div');
   item.className = 'tab-item';
   item.dataset.index = index;
   
-  const favicon = tab.favicon || getFaviconUrl(tab.url);
+  const favicon = tab.favicon || (tab.restricted ? '' : getFaviconUrl(tab.url));
+  const group = groups.find(g => g.id === tab.groupId);
+  if (group) item.classList.add(`group-${group.color}`);
+  
+  const flags = [
+    tab.restricted ? '<span title="Browser, file or extension page">🔒</span>' : '',
+    tab.active ? '<span title="Focused after launch">👁️</span>' : '',
+    tab.pinned ? '<span title="Pinned">📌</span>' : '',
+    tab.muted ? '<span title="Muted">🔇</span>' : ''
+  ].join('');
+  
+  const groupOptions = groups.map(g => `
+    <option value="${escapeHtml(g.id)}" ${g.id === tab.groupId ? 'selected' : ''}>
+      ${escapeHtml(g.title || `Unnamed ${g.color} group`)}
+    </option>
+  `).join('');
   
   item.innerHTML = `
     <div class="tab-item-icon">
-      ${favicon ? `<img src="${favicon}" width="16" height="16" alt="">` : '🌐'}
+      ${favicon ? `<img src="${escapeHtml(favicon)}" width="16" height="16" alt="">` : '🌐'}
     </div>
     <div class="tab-item-info">
-      <div class="tab-item-title">${escapeHtml(tab.title || 'Untitled')}</div>
+      <div class="tab-item-title">${flags}${escapeHtml(tab.title || 'Untitled')}</div>
       <div class="tab-item-url">${escapeHtml(truncate(tab.url, 50))}</div>
     </div>
+    <select class="tab-item-group" title="Tab group" aria-label="Tab group">
+      <option value="">No group</option>
+      ${groupOptions}
+      <option value="${NEW_GROUP_OPTION}">New group…</option>
+    </select>
     <button class="tab-item-remove" title="Remove tab">×</button>
   `;
   
+  item.querySelector('.tab-item-group').addEventListener('change', (e) => setTabGroup(index, e.target.value));
   item.querySelector('.tab-item-remove').addEventListener('click', () => removeTab(index));
   
   return item;
@@ -494,7 +923,7 @@ async function addTab(tab) {
     await templateManager.addTab(editingTemplateId, tab);
     
     const template = await templateManager.getTemplate(editingTemplateId);
-    renderEditTabs(template.tabs);
+    renderEditTabs(template);
     
   } catch (error) {
     console.error('[Popup] Failed to add tab:', error);
@@ -510,7 +939,7 @@ async function removeTab(index) {
     await templateManager.removeTab(editingTemplateId, index);
     
     const template = await templateManager.getTemplate(editingTemplateId);
-    renderEditTabs(template.tabs);
+    renderEditTabs(template);
     
   } catch (error) {
     console.error('[Popup] Failed to remove tab:', error);
@@ -518,6 +947,29 @@ async function removeTab(index) {
   }
 }
 
+/**
+ * Move tab of editing template into a group
+ */
+async function setTabGroup(index, groupId) {
+  try {
+    if (groupId === NEW_GROUP_OPTION) {
+      const title = prompt('Group name:', '');
+      if (title !== null) {
+        await templateManager.createGroup(editingTemplateId, [index], { title: title.trim() });
+      }
+    } else {
+      await templateManager.setTabGroup(editingTemplateId, index, groupId || null);
+    }
+    
+    const template = await templateManager.getTemplate(editingTemplateId);
+    renderEditTabs(template);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to change tab group:', error);
+    showToast(error.message || 'Failed to change tab group', 'error');
+  }
+}
+
 /**
  * Handle edit confirm
  */
@@ -525,6 +977,9 @@ async function handleEditConfirm() {
   const nameInput = document.getElementById('edit-template-name');
   const descriptionInput = document.getElementById('edit-template-description');
   
+  const syncInput = document.getElementById('edit-template-sync');
+  const liveInput = document.getElementById('edit-template-live');
+  
   const name = nameInput.value.trim();
   const description = descriptionInput.value.trim();
   
@@ -534,10 +989,22 @@ async function handleEditConfirm() {
     return;
   }
   
+  // Launch settings left on "Default" are not stored
+  const launchOptions = {};
+  document.querySelectorAll('#edit-launch-settings [data-option]').forEach(select => {
+    if (select.value === '') return;
+    launchOptions[select.dataset.option] = ['true', 'false'].includes(select.value)
+      ? select.value === 'true'
+      : select.value;
+  });
+  
   try {
     await templateManager.updateTemplate(editingTemplateId, {
       name,
-      description
+      description,
+      syncEnabled: syncInput.checked,
+      live: liveInput.checked,
+      launchOptions
     });
     
     closeModal('edit-modal');
@@ -552,12 +1019,157 @@ async function handleEditConfirm() {
   }
 }
 
+/**
+ * Open history modal for the template being edited
+ */
+async function openHistoryModal() {
+  await renderHistory();
+  openModal('history-modal');
+}
+
+/**
+ * Render revision pickers, keeping the current selection where possible
+ */
+async function renderHistory() {
+  try {
+    const [revisions, template] = await Promise.all([
+      templateManager.getHistory(editingTemplateId),
+      templateManager.getTemplate(editingTemplateId)
+    ]);
+    
+    const fromSelect = document.getElementById('history-from');
+    const toSelect = document.getElementById('history-to');
+    const previousFrom = fromSelect.value;
+    const previousTo = toSelect.value;
+    
+    currentRevision = template ? template.revision || 0 : null;
+    
+    const options = revisions.map(({ revision, savedAt, template: snapshot, source }) => {
+      const tabCount = snapshot.tabs.length;
+      const when = savedAt ? formatRelativeTime(savedAt) : 'earlier';
+      const current = revision === currentRevision ? ' (current)' : '';
+      const auto = source === 'live' ? ' · auto-update' : '';
+      return `<option value="${revision}">Revision ${revision}${current} · ${when} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}${auto}</option>`;
+    }).join('');
+    
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    
+    if (revisions.length < 2) {
+      document.getElementById('history-summary').textContent = '';
+      document.getElementById('history-diff').innerHTML = 
+        '<div class="tabs-list-empty">No earlier versions yet. Changes you make are recorded here.</div>';
+      document.getElementById('history-restore-btn').disabled = true;
+      return;
+    }
+    
+    const hasOption = (value) => revisions.some(r => String(r.revision) === value);
+    fromSelect.value = hasOption(previousFrom) ? previousFrom : String(revisions[1].revision);
+    toSelect.value = hasOption(previousTo) ? previousTo : String(revisions[0].revision);
+    
+    await renderHistoryDiff();
+    
+  } catch (error) {
+    console.error('[Popup] Failed to load history:', error);
+    showToast('Failed to load template history', 'error');
+  }
+}
+
+/**
+ * Render URL-level diff between the selected revisions
+ */
+async function renderHistoryDiff() {
+  const fromRevision = Number(document.getElementById('history-from').value);
+  const toRevision = Number(document.getElementById('history-to').value);
+  const summary = document.getElementById('history-summary');
+  const diffList = document.getElementById('history-diff');
+  
+  document.getElementById('history-restore-btn').disabled = toRevision === currentRevision;
+  
+  try {
+    const { added, removed, unchanged, fields } = 
+      await templateManager.compareRevisions(editingTemplateId, fromRevision, toRevision);
+    
+    summary.textContent = 
+      `${added.length} added, ${removed.length} removed, ${unchanged.length} unchanged` +
+      (fields.length > 0 ? ` · Also changed: ${fields.join(', ')}` : '');
+    
+    if (added.length === 0 && removed.length === 0) {
+      diffList.innerHTML = '<div class="tabs-list-empty">No tab changes between these versions</div>';
+      return;
+    }
+    
+    diffList.innerHTML = '';
+    removed.forEach(tab => diffList.appendChild(createDiffItem(tab, 'removed')));
+    added.forEach(tab => diffList.appendChild(createDiffItem(tab, 'added')));
+    
+  } catch (error) {
+    console.error('[Popup] Failed to compare revisions:', error);
+    showToast('Failed to compare versions', 'error');
+  }
+}
+
+/**
+ * Create diff item element
+ */
+function createDiffItem(tab, change) {
+  const item = document.createElement('div');
+  item.className = `tab-item diff-${change}`;
+  
+  item.innerHTML = `
+    <div class="tab-item-icon diff-sign">${change === 'added' ? '+' : '−'}</div>
+    <div class="tab-item-info">
+      <div class="tab-item-title">${escapeHtml(tab.title || 'Untitled')}</div>
+      <div class="tab-item-url" title="${escapeHtml(tab.url)}">${escapeHtml(truncate(tab.url, 50))}</div>
+    </div>
+  `;
+  
+  return item;
+}
+
+/**
+ * Restore the revision selected as "To"
+ */
+async function handleRestoreRevision() {
+  const revision = Number(document.getElementById('history-to').value);
+  
+  try {
+    await templateManager.restoreRevision(editingTemplateId, revision);
+    
+    closeModal('history-modal');
+    showToast(`Restored revision ${revision}`, 'success');
+    
+    // Reload the edit form with the restored content
+    await openEditModal(editingTemplateId);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to restore revision:', error);
+    showToast(error.message || 'Failed to restore version', 'error');
+  }
+}
+
+/**
+ * Stop syncing a live template with its window
+ */
+async function unlinkTemplate(templateId) {
+  try {
+    await templateManager.unlinkTemplate(templateId);
+    showToast('Template unlinked from its window', 'success');
+  } catch (error) {
+    console.error('[Popup] Failed to unlink template:', error);
+    showToast('Failed to unlink template', 'error');
+  }
+}
+
 /**
  * Open delete modal
  */
 async function openDeleteModal(templateId) {
   try {
-    const template = await templateManager.getTemplate(templateId);
+    const [template, settings] = await Promise.all([
+      templateManager.getTemplate(templateId),
+      storageService.getSettings()
+    ]);
     if (!template) {
       showToast('Template not found', 'error');
       return;
@@ -565,6 +1177,11 @@ async function openDeleteModal(templateId) {
     
     deletingTemplateId = templateId;
     
+    if (!settings.confirmDelete) {
+      await handleDeleteConfirm();
+      return;
+    }
+    
     document.getElementById('delete-message').textContent = 
       `Are you sure you want to delete "${template.name}"?`;
     
@@ -596,13 +1213,351 @@ async function handleDeleteConfirm() {
 }
 
 /**
- * Launch template
+ * Open recently deleted modal
+ */
+async function openTrashModal() {
+  await renderTrash();
+  openModal('trash-modal');
+}
+
+/**
+ * Render trashed templates
+ */
+async function renderTrash() {
+  try {
+    const [items, settings] = await Promise.all([
+      templateManager.getTrash(),
+      storageService.getSettings()
+    ]);
+    
+    const trashList = document.getElementById('trash-list');
+    document.getElementById('trash-retention-hint').textContent = 
+      `Deleted templates are kept for ${settings.trashRetentionDays} day${settings.trashRetentionDays !== 1 ? 's' : ''}`;
+    document.getElementById('empty-trash-btn').disabled = items.length === 0;
+    
+    if (items.length === 0) {
+      trashList.innerHTML = '<div class="tabs-list-empty">Trash is empty</div>';
+      return;
+    }
+    
+    trashList.innerHTML = '';
+    items.forEach(item => trashList.appendChild(createTrashItem(item)));
+    
+  } catch (error) {
+    console.error('[Popup] Failed to load trash:', error);
+    showToast('Failed to load recently deleted templates', 'error');
+  }
+}
+
+/**
+ * Create trash item element
+ */
+function createTrashItem({ template, deletedAt }) {
+  const item = document.createElement('div');
+  item.className = 'tab-item';
+  
+  const tabCount = template.tabs.length;
+  
+  item.innerHTML = `
+    <div class="tab-item-info">
+      <div class="tab-item-title">${escapeHtml(template.name)}</div>
+      <div class="tab-item-url">
+        Deleted ${formatRelativeTime(deletedAt)} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}
+      </div>
+    </div>
+    <div class="trash-item-actions">
+      <button class="btn btn-small btn-secondary" data-action="restore">Restore</button>
+      <button class="tab-item-remove" title="Delete forever" data-action="purge">×</button>
+    </div>
+  `;
+  
+  item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreTemplate(template.id));
+  item.querySelector('[data-action="purge"]').addEventListener('click', () => handlePurgeTemplate(template));
+  
+  return item;
+}
+
+/**
+ * Restore template from trash
+ */
+async function restoreTemplate(templateId) {
+  try {
+    await templateManager.restoreTemplate(templateId);
+    showToast(MESSAGES.RESTORE_SUCCESS, 'success');
+    await renderTrash();
+    await loadTemplates(false);
+  } catch (error) {
+    console.error('[Popup] Failed to restore template:', error);
+    showToast(error.message || 'Failed to restore template', 'error');
+  }
+}
+
+/**
+ * Handle permanently delete template from trash
+ */
+async function handlePurgeTemplate(template) {
+  await confirmDeletion(
+    'Delete Forever',
+    `Permanently delete "${template.name}"? This action cannot be undone!`,
+    async () => {
+      try {
+        await templateManager.purgeTemplate(template.id);
+        showToast(MESSAGES.PURGE_SUCCESS, 'success');
+        await renderTrash();
+      } catch (error) {
+        console.error('[Popup] Failed to purge template:', error);
+        showToast('Failed to delete template', 'error');
+      }
+    }
+  );
+}
+
+/**
+ * Handle empty trash
+ */
+async function handleEmptyTrash() {
+  await confirmDeletion(
+    'Empty Trash',
+    'Permanently delete all templates in the trash? This action cannot be undone!',
+    async () => {
+      try {
+        await templateManager.emptyTrash();
+        showToast('Trash emptied', 'success');
+        await renderTrash();
+      } catch (error) {
+        console.error('[Popup] Failed to empty trash:', error);
+        showToast('Failed to empty trash', 'error');
+      }
+    }
+  );
+}
+
+/**
+ * Open recently closed windows modal
  */
-async function launchTemplate(templateId) {
+async function openClosedModal() {
+  await renderClosedWindows();
+  openModal('closed-modal');
+}
+
+/**
+ * Render recently closed windows
+ */
+async function renderClosedWindows() {
   try {
-    await templateManager.launchTemplate(templateId);
+    const autoSessions = await templateManager.getAutoSessions();
+    const closedList = document.getElementById('closed-list');
+    
+    if (autoSessions.length === 0) {
+      closedList.innerHTML = '<div class="tabs-list-empty">No recently closed windows</div>';
+      return;
+    }
     
-    showToast('Template launched', 'success');
+    closedList.innerHTML = '';
+    autoSessions.forEach(autoSession => closedList.appendChild(createClosedItem(autoSession)));
+    
+  } catch (error) {
+    console.error('[Popup] Failed to load closed windows:', error);
+    showToast('Failed to load recently closed windows', 'error');
+  }
+}
+
+/**
+ * Create closed window item element
+ */
+function createClosedItem(autoSession) {
+  const item = document.createElement('div');
+  item.className = 'tab-item';
+  
+  const tabCount = autoSession.tabs.length;
+  const [firstTab] = autoSession.tabs;
+  const more = tabCount > 1 ? ` and ${tabCount - 1} more` : '';
+  const time = formatRelativeTime(autoSession.closedAt);
+  const when = {
+    recovered: `Open when the browser last closed, ${time}`,
+    switched: `Switched away ${time}`
+  }[autoSession.reason] || `Closed ${time}`;
+  
+  item.innerHTML = `
+    <div class="tab-item-info">
+      <div class="tab-item-title">${escapeHtml(firstTab.title || firstTab.url)}${more}</div>
+      <div class="tab-item-url">
+        ${when} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}
+      </div>
+    </div>
+    <div class="trash-item-actions">
+      <button class="btn btn-small btn-secondary" data-action="restore">Restore</button>
+      <button class="btn btn-small btn-secondary" title="Save as template" data-action="save">Save</button>
+      <button class="tab-item-remove" title="Forget this window" data-action="forget">×</button>
+    </div>
+  `;
+  
+  item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreClosedWindow(autoSession.id));
+  item.querySelector('[data-action="save"]').addEventListener('click', () => openPromoteModal(autoSession));
+  item.querySelector('[data-action="forget"]').addEventListener('click', () => forgetClosedWindow(autoSession.id));
+  
+  return item;
+}
+
+/**
+ * Reopen a recently closed window
+ */
+async function restoreClosedWindow(autoSessionId) {
+  try {
+    // The background keeps restoring if the popup closes on the new window
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESTORE_AUTO_SESSION',
+      autoSessionId
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    showToast('Window restored', 'success');
+    setTimeout(() => window.close(), 500);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to restore closed window:', error);
+    showToast(error.message || 'Failed to restore window', 'error');
+  }
+}
+
+/**
+ * Forget a recently closed window
+ */
+async function forgetClosedWindow(autoSessionId) {
+  try {
+    await templateManager.deleteAutoSession(autoSessionId);
+    await renderClosedWindows();
+  } catch (error) {
+    console.error('[Popup] Failed to forget closed window:', error);
+    showToast('Failed to remove closed window', 'error');
+  }
+}
+
+/**
+ * Open save closed window modal
+ */
+function openPromoteModal(autoSession) {
+  promotingAutoSessionId = autoSession.id;
+  
+  const tabCount = autoSession.tabs.length;
+  const nameInput = document.getElementById('promote-template-name');
+  nameInput.value = (autoSession.tabs[0].title || '').substring(0, UI.MAX_TEMPLATE_NAME_LENGTH);
+  nameInput.classList.remove('error');
+  document.getElementById('promote-template-description').value = '';
+  document.getElementById('promote-tab-count').textContent = 
+    `${tabCount} tab${tabCount !== 1 ? 's' : ''} will be saved`;
+  
+  openModal('promote-modal');
+  setTimeout(() => nameInput.select(), 100);
+}
+
+/**
+ * Handle save closed window confirm
+ */
+async function handlePromoteConfirm() {
+  const nameInput = document.getElementById('promote-template-name');
+  const descriptionInput = document.getElementById('promote-template-description');
+  
+  const name = nameInput.value.trim();
+  const description = descriptionInput.value.trim();
+  
+  if (!name) {
+    nameInput.classList.add('error');
+    showToast('Please enter a template name', 'error');
+    return;
+  }
+  
+  try {
+    await templateManager.createFromAutoSession(promotingAutoSessionId, name, description);
+    
+    closeModal('promote-modal');
+    promotingAutoSessionId = null;
+    
+    showToast(MESSAGES.SAVE_SUCCESS, 'success');
+    await renderClosedWindows();
+    await loadTemplates(false);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to save closed window:', error);
+    showToast(error.message || MESSAGES.ERROR_SAVE, 'error');
+  }
+}
+
+/**
+ * Open launch options modal, prefilled from the template's launch settings and settings
+ */
+async function openLaunchModal(templateId) {
+  try {
+    const [settings, template] = await Promise.all([
+      storageService.getSettings(),
+      templateManager.getTemplate(templateId)
+    ]);
+    const options = {
+      openBehavior: settings.openBehavior,
+      closeExisting: settings.closeExistingTabs,
+      lazyLoad: settings.lazyLoad,
+      dedupe: settings.dedupe,
+      ...(template && template.launchOptions)
+    };
+    
+    launchingTemplateId = templateId;
+    
+    document.getElementById('launch-open-behavior').value = options.openBehavior;
+    document.getElementById('launch-close-existing').checked = options.closeExisting;
+    document.getElementById('launch-lazy-load').checked = options.lazyLoad;
+    document.getElementById('launch-dedupe').value = options.dedupe;
+    
+    openModal('launch-modal');
+    
+  } catch (error) {
+    console.error('[Popup] Failed to open launch options:', error);
+    showToast('Failed to load settings', 'error');
+  }
+}
+
+/**
+ * Handle launch options confirm
+ */
+async function handleLaunchConfirm() {
+  const options = {
+    openBehavior: document.getElementById('launch-open-behavior').value,
+    closeExisting: document.getElementById('launch-close-existing').checked,
+    lazyLoad: document.getElementById('launch-lazy-load').checked,
+    dedupe: document.getElementById('launch-dedupe').value
+  };
+  
+  closeModal('launch-modal');
+  await launchTemplate(launchingTemplateId, options);
+  launchingTemplateId = null;
+}
+
+/**
+ * Launch template, with settings filling in options not given
+ */
+async function launchTemplate(templateId, options = {}) {
+  try {
+    // The background keeps launching if the popup closes on a new window
+    const response = await chrome.runtime.sendMessage({
+      type: 'LAUNCH_TEMPLATE',
+      templateId,
+      options
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    // Stay open so broken tabs can be fixed or dropped
+    const { report } = response.result;
+    if (report.skipped > 0 || report.failed > 0) {
+      showLaunchReport(templateId, report);
+      return;
+    }
+    
+    showToast(report.reused > 0
+      ? `Template launched, ${report.reused} tab${report.reused !== 1 ? 's' : ''} already open`
+      : 'Template launched', 'success');
     
     // Close popup after short delay
     setTimeout(() => window.close(), 500);
@@ -613,6 +1568,256 @@ async function launchTemplate(templateId) {
   }
 }
 
+/**
+ * Swap the current window's tabs for a template's
+ */
+async function switchToTemplate(templateId) {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      type: 'SWITCH_TEMPLATE',
+      templateId,
+      windowId: currentWindow.id
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    const { report, savedTo } = response.result;
+    if (report.skipped > 0 || report.failed > 0) {
+      showLaunchReport(templateId, report);
+      return;
+    }
+    
+    let savedText = '';
+    if (savedTo && savedTo.templateId) {
+      const previous = currentTemplates.find(t => t.id === savedTo.templateId);
+      savedText = previous ? `, previous tabs saved to "${previous.name}"` : '';
+    } else if (savedTo) {
+      savedText = ', previous tabs kept in recently closed windows';
+    }
+    showToast(`Switched${savedText}`, 'success');
+    
+    setTimeout(() => window.close(), 1500);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to switch template:', error);
+    showToast(error.message || 'Failed to switch template', 'error');
+  }
+}
+
+/**
+ * Open close session modal
+ */
+async function openCloseSessionModal(templateId) {
+  try {
+    const [template, settings] = await Promise.all([
+      templateManager.getTemplate(templateId),
+      storageService.getSettings()
+    ]);
+    if (!template) {
+      showToast('Template not found', 'error');
+      return;
+    }
+    
+    closingTemplateId = templateId;
+    
+    const count = openSessionCounts[templateId] || 0;
+    document.getElementById('close-session-message').textContent = 
+      `Close ${count} tab${count !== 1 ? 's' : ''} opened from "${template.name}"?`;
+    document.getElementById('close-session-save').checked = settings.saveOnCloseSession;
+    
+    openModal('close-session-modal');
+    
+  } catch (error) {
+    console.error('[Popup] Failed to open close session modal:', error);
+    showToast('Failed to load template', 'error');
+  }
+}
+
+/**
+ * Handle close session confirm
+ */
+async function handleCloseSessionConfirm() {
+  try {
+    // The background keeps going if the popup's window is among those closed
+    const response = await chrome.runtime.sendMessage({
+      type: 'CLOSE_SESSION',
+      templateId: closingTemplateId,
+      saveChanges: document.getElementById('close-session-save').checked
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    closeModal('close-session-modal');
+    closingTemplateId = null;
+    
+    const { closedTabs, saved } = response.result;
+    showToast(`Closed ${closedTabs} tab${closedTabs !== 1 ? 's' : ''}${saved ? ', changes saved' : ''}`, 'success');
+    await loadTemplates(false);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to close session:', error);
+    showToast(error.message || 'Failed to close session', 'error');
+  }
+}
+
+/**
+ * Open move to folder modal
+ */
+async function openMoveModal(templateId) {
+  try {
+    const [template, folders] = await Promise.all([
+      templateManager.getTemplate(templateId),
+      templateManager.getFolders()
+    ]);
+    if (!template) {
+      showToast('Template not found', 'error');
+      return;
+    }
+    
+    movingTemplateId = templateId;
+    
+    document.getElementById('folder-options').innerHTML = folders.map(folder => 
+      `<option value="${escapeHtml(folder)}"></option>`
+    ).join('');
+    const folderInput = document.getElementById('move-folder');
+    folderInput.value = template.folder || '';
+    
+    openModal('move-modal');
+    setTimeout(() => folderInput.focus(), 100);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to open move modal:', error);
+    showToast('Failed to load template', 'error');
+  }
+}
+
+/**
+ * Handle move to folder confirm
+ */
+async function handleMoveConfirm() {
+  try {
+    const folder = await templateManager.moveToFolder(
+      movingTemplateId, 
+      document.getElementById('move-folder').value
+    );
+    
+    closeModal('move-modal');
+    movingTemplateId = null;
+    
+    // Show where the template went
+    getFolderPaths(folder).forEach(path => collapsedFolders.delete(path));
+    await storageService.setCollapsedFolders([...collapsedFolders]);
+    
+    showToast(folder ? `Moved to ${folder}` : 'Moved out of folders', 'success');
+    await loadTemplates(false);
+    
+  } catch (error) {
+    console.error('[Popup] Failed to move template:', error);
+    showToast(error.message || 'Failed to move template', 'error');
+  }
+}
+
+/**
+ * Show tabs that did not open in a launch
+ */
+function showLaunchReport(templateId, report) {
+  launchReport = { templateId, report };
+  
+  const broken = report.tabs.filter(tab => tab.status === 'skipped_invalid' || tab.status === 'failed');
+  const reused = report.reused > 0 ? ` (${report.reused} already open)` : '';
+  document.getElementById('report-summary').textContent = 
+    `Opened ${report.opened + report.reused} of ${report.total} tabs${reused}. ${broken.length} tab${broken.length !== 1 ? 's' : ''} could not be opened:`;
+  
+  const reportList = document.getElementById('report-list');
+  reportList.innerHTML = '';
+  broken.forEach(tab => {
+    const item = document.createElement('div');
+    item.className = 'tab-item';
+    item.innerHTML = `
+      <div class="tab-item-info">
+        <div class="tab-item-title">${escapeHtml(tab.title || tab.url)}</div>
+        <div class="tab-item-url">${escapeHtml(tab.url)}</div>
+        <div class="tab-item-url report-reason">
+          ${tab.status === 'skipped_invalid' ? 'Skipped' : 'Failed'}: ${escapeHtml(tab.reason || 'Unknown error')}
+        </div>
+      </div>
+    `;
+    reportList.appendChild(item);
+  });
+  
+  openModal('report-modal');
+}
+
+/**
+ * Open the reported template in the editor
+ */
+async function handleReportEdit() {
+  closeModal('report-modal');
+  await openEditModal(launchReport.templateId);
+  launchReport = null;
+}
+
+/**
+ * Remove the tabs that did not open from the reported template
+ */
+async function handleDropBrokenTabs() {
+  try {
+    const { templateId, report } = launchReport;
+    const broken = report.tabs.filter(tab => tab.status === 'skipped_invalid' || tab.status === 'failed');
+    
+    const removed = await templateManager.removeTabs(templateId, broken);
+    
+    closeModal('report-modal');
+    launchReport = null;
+    showToast(`Removed ${removed} broken tab${removed !== 1 ? 's' : ''}`, 'success');
+    
+  } catch (error) {
+    console.error('[Popup] Failed to drop broken tabs:', error);
+    showToast(error.message || 'Failed to remove tabs', 'error');
+  }
+}
+
+/**
+ * Show an undo button for the most recent launch
+ */
+async function renderUndoBar() {
+  const session = await templateManager.getLastLaunch();
+  
+  if (!session) {
+    elements.undoBar.classList.remove('visible');
+    return;
+  }
+  
+  document.getElementById('undo-text').textContent = 
+    `Launched ${session.templateName} ${formatRelativeTime(session.launchedAt)}`;
+  elements.undoBar.dataset.sessionId = session.id;
+  elements.undoBar.classList.add('visible');
+}
+
+/**
+ * Undo the most recent launch
+ */
+async function handleUndoLaunch() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UNDO_LAUNCH',
+      sessionId: elements.undoBar.dataset.sessionId
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    showToast('Launch undone', 'success');
+    
+  } catch (error) {
+    console.error('[Popup] Failed to undo launch:', error);
+    showToast(error.message || 'Failed to undo launch', 'error');
+  }
+}
+
 /**
  * Open settings page
  */
@@ -641,6 +1846,33 @@ function closeModal(modalId) {
   }
 }
 
+/**
+ * Ask before deleting, unless confirmations are turned off in settings
+ */
+async function confirmDeletion(title, message, callback) {
+  const settings = await storageService.getSettings();
+  if (!settings.confirmDelete) {
+    await callback();
+    return;
+  }
+  
+  document.getElementById('confirm-title').textContent = title;
+  document.getElementById('confirm-message').textContent = message;
+  confirmCallback = callback;
+  openModal('confirm-modal');
+}
+
+/**
+ * Handle confirm OK
+ */
+function handleConfirmOk() {
+  if (confirmCallback) {
+    confirmCallback();
+  }
+  confirmCallback = null;
+  closeModal('confirm-modal');
+}
+
 /**
  * Show loading state
  */
@@ -661,7 +1893,9 @@ function showToast(message, type = 'info') {
   elements.toastMessage.textContent = message;
   elements.toast.classList.add('visible');
   
-  setTimeout(() => {
+  // Restart the timer so a quick series of toasts stays visible
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => {
     elements.toast.classList.remove('visible');
   }, 3000);
 }
@@ -0,0 +1,319 @@
+/**
+ * Auto-Session Service
+ * Keeps snapshots of open windows in local storage so closed windows, and
+ * windows lost when the browser crashed, can be brought back
+ * Snapshots are tagged with an ID that lives in chrome.storage.session, so
+ * snapshots left over from before a browser restart can be told apart from
+ * the windows open now.
+ */
+
+import { STORAGE_KEYS, AUTO_SESSIONS } from '../utils/constants.js';
+import { generateUUID } from '../utils/helpers.js';
+import { tabService } from './tabService.js';
+
+/**
+ * Turn a window snapshot into an auto-session
+ * @param {Object} snapshot - Window snapshot {windowId, savedAt, tabs, groups, window}
+ * @param {string} reason - 'closed' | 'recovered' | 'switched'
+ * @returns {Object} Auto-session {id, closedAt, reason, tabs, groups, window}
+ */
+function toAutoSession(snapshot, reason) {
+  return {
+    id: generateUUID(),
+    // Recovered windows were last seen when their snapshot was taken
+    closedAt: reason === 'recovered' ? snapshot.savedAt : new Date().toISOString(),
+    reason,
+    tabs: snapshot.tabs,
+    groups: snapshot.groups,
+    window: snapshot.window
+  };
+}
+
+/**
+ * Get the set of URLs open in a window, comparable between snapshots
+ * @param {Array} tabs - Captured tabs
+ * @returns {string} Sorted, distinct URLs
+ */
+function getUrlSet(tabs) {
+  return [...new Set(tabs.map(tab => tab.url))].sort().join('\n');
+}
+
+/**
+ * Find the open windows that earlier snapshots were taken of
+ * Window IDs change when the browser restarts and restores its windows, so
+ * windows are matched by the URLs of their tabs. Each open window matches
+ * one snapshot at most.
+ * @param {Array} snapshots - Window snapshots from an earlier browser session
+ * @returns {Promise<Map>} Current window ID by snapshot, for the snapshots still open
+ */
+async function matchOpenWindows(snapshots) {
+  const openWindows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  const unmatched = [];
+  for (const win of openWindows) {
+    const captured = await tabService.captureWindow(win.id);
+    if (captured && captured.tabs.length > 0) {
+      unmatched.push({ windowId: win.id, urls: getUrlSet(captured.tabs) });
+    }
+  }
+
+  const matches = new Map();
+  for (const snapshot of snapshots) {
+    const urls = getUrlSet(snapshot.tabs);
+    // A window keeping its ID, as after an extension reload, is the best match
+    const index = [
+      unmatched.findIndex(win => win.windowId === snapshot.windowId && win.urls === urls),
+      unmatched.findIndex(win => win.urls === urls)
+    ].find(i => i !== -1);
+
+    if (index !== undefined) {
+      matches.set(snapshot, unmatched[index].windowId);
+      unmatched.splice(index, 1);
+    }
+  }
+  return matches;
+}
+
+class AutoSessionService {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get recently closed windows
+   * @returns {Promise<Array>} Auto-sessions {id, closedAt, reason, tabs, groups, window}, newest first
+   */
+  async getAutoSessions() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.AUTO_SESSIONS);
+      return result[STORAGE_KEYS.AUTO_SESSIONS] || [];
+    } catch (error) {
+      console.error('[AutoSessionService] Failed to get auto-sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a recently closed window
+   * @param {string} autoSessionId - Auto-session ID
+   * @returns {Promise<Object|null>} Auto-session or null if not found
+   */
+  async getAutoSession(autoSessionId) {
+    const autoSessions = await this.getAutoSessions();
+    return autoSessions.find(s => s.id === autoSessionId) || null;
+  }
+
+  /**
+   * Forget a recently closed window
+   * @param {string} autoSessionId - Auto-session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteAutoSession(autoSessionId) {
+    try {
+      await this.enqueue(async () => {
+        const autoSessions = await this.getAutoSessions();
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.AUTO_SESSIONS]: autoSessions.filter(s => s.id !== autoSessionId)
+        });
+      });
+      return true;
+    } catch (error) {
+      console.error('[AutoSessionService] Failed to delete auto-session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the current state of a window
+   * Windows without tabs worth saving, like a lone new tab page, are dropped.
+   * @param {number} windowId - Window ID
+   * @returns {Promise<boolean>} True if a snapshot was saved
+   */
+  async snapshotWindow(windowId) {
+    try {
+      const captured = await tabService.captureWindow(windowId);
+
+      return await this.enqueue(async () => {
+        const windows = await this.loadSnapshots();
+
+        if (captured && captured.tabs.length > 0) {
+          windows[windowId] = { windowId, savedAt: new Date().toISOString(), ...captured };
+        } else if (windows[windowId]) {
+          delete windows[windowId];
+        } else {
+          return false;
+        }
+
+        await this.saveSnapshots(windows);
+        return Boolean(windows[windowId]);
+      });
+    } catch (error) {
+      console.error('[AutoSessionService] Failed to snapshot window:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot every open window
+   * Snapshots of windows that closed unnoticed are kept as closed windows.
+   * @returns {Promise<number>} Number of open windows snapshotted
+   */
+  async snapshotAllWindows() {
+    try {
+      const openWindows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+      const openIds = new Set(openWindows.map(win => win.id));
+
+      await this.enqueue(async () => {
+        const windows = await this.loadSnapshots();
+        const closed = Object.values(windows).filter(s => !openIds.has(s.windowId));
+        if (closed.length === 0) return;
+
+        closed.forEach(snapshot => delete windows[snapshot.windowId]);
+        await this.addAutoSessions(closed.map(snapshot => toAutoSession(snapshot, 'closed')));
+        await this.saveSnapshots(windows);
+      });
+
+      const saved = await Promise.all(openWindows.map(win => this.snapshotWindow(win.id)));
+      return saved.filter(Boolean).length;
+    } catch (error) {
+      console.error('[AutoSessionService] Failed to snapshot windows:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Keep the current tabs of a window as an auto-session
+   * Used when the window is about to be reused for something else.
+   * @param {number} windowId - Window ID
+   * @param {string} reason - Why the tabs are put aside, e.g. 'switched'
+   * @returns {Promise<Object|null>} Created auto-session, null if the window has no tabs worth keeping
+   */
+  async saveWindow(windowId, reason) {
+    try {
+      const captured = await tabService.captureWindow(windowId);
+      if (!captured || captured.tabs.length === 0) return null;
+
+      const autoSession = toAutoSession({ windowId, ...captured }, reason);
+      await this.enqueue(() => this.addAutoSessions([autoSession]));
+
+      console.log('[AutoSessionService] Window tabs kept:', autoSession.id);
+      return autoSession;
+    } catch (error) {
+      console.error('[AutoSessionService] Failed to keep window tabs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the last snapshot of a closed window as an auto-session
+   * @param {number} windowId - Closed window ID
+   * @returns {Promise<Object|null>} Created auto-session, null if the window had no snapshot
+   */
+  async closeWindow(windowId) {
+    try {
+      return await this.enqueue(async () => {
+        const windows = await this.loadSnapshots();
+        const snapshot = windows[windowId];
+        if (!snapshot) return null;
+
+        delete windows[windowId];
+        const autoSession = toAutoSession(snapshot, 'closed');
+        await this.addAutoSessions([autoSession]);
+        await this.saveSnapshots(windows);
+
+        console.log('[AutoSessionService] Closed window kept:', autoSession.id);
+        return autoSession;
+      });
+    } catch (error) {
+      console.error('[AutoSessionService] Failed to keep closed window:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load snapshots of the windows open in this browser session
+   * Snapshots from before a restart are kept for the windows the browser
+   * restored. The others are windows lost when the browser quit or crashed,
+   * so they become auto-sessions first.
+   * @returns {Promise<Object>} Window snapshots by window ID
+   */
+  async loadSnapshots() {
+    const bootId = await this.getBootId();
+    const result = await chrome.storage.local.get(STORAGE_KEYS.WINDOW_SNAPSHOTS);
+    const stored = result[STORAGE_KEYS.WINDOW_SNAPSHOTS];
+
+    if (!stored) return {};
+    if (stored.bootId === bootId) return stored.windows;
+
+    const snapshots = Object.values(stored.windows);
+    const matches = await matchOpenWindows(snapshots);
+
+    const windows = {};
+    const recovered = [];
+    for (const snapshot of snapshots) {
+      if (matches.has(snapshot)) {
+        const windowId = matches.get(snapshot);
+        windows[windowId] = { ...snapshot, windowId };
+      } else {
+        recovered.push(toAutoSession(snapshot, 'recovered'));
+      }
+    }
+
+    if (recovered.length > 0) {
+      await this.addAutoSessions(recovered);
+      console.log('[AutoSessionService] Windows recovered from last session:', recovered.length);
+    }
+    await this.saveSnapshots(windows);
+    return windows;
+  }
+
+  /**
+   * Store snapshots of the windows open in this browser session
+   * @param {Object} windows - Window snapshots by window ID
+   */
+  async saveSnapshots(windows) {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.WINDOW_SNAPSHOTS]: { bootId: await this.getBootId(), windows }
+    });
+  }
+
+  /**
+   * Add auto-sessions, dropping the oldest beyond the limit
+   * @param {Array} added - Auto-sessions to add
+   */
+  async addAutoSessions(added) {
+    const autoSessions = [...added, ...await this.getAutoSessions()]
+      .sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.AUTO_SESSIONS]: autoSessions.slice(0, AUTO_SESSIONS.MAX_SESSIONS)
+    });
+  }
+
+  /**
+   * Get ID of the current browser session
+   * @returns {Promise<string>} Boot ID
+   */
+  async getBootId() {
+    const result = await chrome.storage.session.get(STORAGE_KEYS.BOOT_ID);
+    if (result[STORAGE_KEYS.BOOT_ID]) return result[STORAGE_KEYS.BOOT_ID];
+
+    const bootId = generateUUID();
+    await chrome.storage.session.set({ [STORAGE_KEYS.BOOT_ID]: bootId });
+    return bootId;
+  }
+
+  /**
+   * Run a snapshot update after all updates queued before it
+   * @param {Function} task - Async function updating snapshots
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    // Keep the queue going when an update fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Export singleton instance
+export const autoSessionService = new AutoSessionService();
@@ -0,0 +1,174 @@
+/**
+ * Backup Service
+ * Keeps snapshots of all templates and settings in local storage
+ */
+
+import { STORAGE_KEYS, BACKUPS } from '../utils/constants.js';
+import { generateUUID } from '../utils/helpers.js';
+import { storageService } from './storageService.js';
+
+/**
+ * Get storage key of a backup snapshot
+ * @param {string} backupId - Backup ID
+ * @returns {string} Storage key
+ */
+function getBackupKey(backupId) {
+  return `${STORAGE_KEYS.BACKUP_PREFIX}${backupId}`;
+}
+
+class BackupService {
+  /**
+   * Get summaries of all backups
+   * @returns {Promise<Array>} Backups {id, createdAt, reason, templateCount, tabCount}, newest first
+   */
+  async getBackups() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.BACKUP_INDEX);
+      return result[STORAGE_KEYS.BACKUP_INDEX] || [];
+    } catch (error) {
+      console.error('[BackupService] Failed to get backups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get full backup snapshot
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<Object|null>} Backup {id, createdAt, reason, version, settings, templates} or null
+   */
+  async getBackup(backupId) {
+    try {
+      const key = getBackupKey(backupId);
+      const result = await chrome.storage.local.get(key);
+      return result[key] || null;
+    } catch (error) {
+      console.error('[BackupService] Failed to get backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take a snapshot of all templates and settings
+   * Scheduled backups are kept up to the configured retention, so manual and
+   * before-restore backups don't push them out; those have a fixed limit of
+   * their own. The oldest backups beyond either limit are deleted.
+   * @param {string} reason - 'scheduled' | 'manual' | 'before_restore'
+   * @returns {Promise<Object>} Backup summary
+   */
+  async createBackup(reason = 'scheduled') {
+    try {
+      const [data, settings] = await Promise.all([
+        storageService.exportData(),
+        storageService.getSettings()
+      ]);
+
+      const backup = {
+        id: generateUUID(),
+        createdAt: new Date().toISOString(),
+        reason,
+        version: data.version,
+        settings,
+        templates: data.templates
+      };
+
+      const summary = {
+        id: backup.id,
+        createdAt: backup.createdAt,
+        reason,
+        templateCount: backup.templates.length,
+        tabCount: backup.templates.reduce((sum, t) => sum + t.tabs.length, 0)
+      };
+
+      const backups = [summary, ...await this.getBackups()];
+      const expired = [
+        ...backups.filter(b => b.reason === 'scheduled').slice(settings.backupRetention),
+        ...backups.filter(b => b.reason !== 'scheduled').slice(BACKUPS.MAX_MANUAL)
+      ];
+      const expiredIds = new Set(expired.map(b => b.id));
+
+      await chrome.storage.local.set({
+        [getBackupKey(backup.id)]: backup,
+        [STORAGE_KEYS.BACKUP_INDEX]: backups.filter(b => !expiredIds.has(b.id))
+      });
+
+      if (expired.length > 0) {
+        await chrome.storage.local.remove(expired.map(b => getBackupKey(b.id)));
+      }
+
+      console.log('[BackupService] Backup created:', summary.id);
+      return summary;
+    } catch (error) {
+      console.error('[BackupService] Failed to create backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all templates and settings with a backup
+   * The current data is backed up first so the restore can be undone.
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<number>} Number of restored templates
+   */
+  async restoreBackup(backupId) {
+    try {
+      const backup = await this.getBackup(backupId);
+      if (!backup) {
+        throw new Error('Backup not found');
+      }
+
+      await this.createBackup('before_restore');
+
+      const count = await storageService.importData({
+        version: backup.version,
+        templates: backup.templates
+      }, false);
+
+      // Keep the current backup schedule rather than the one in the snapshot
+      const { backupFrequency, backupRetention, ...settings } = backup.settings;
+      await storageService.updateSettings(settings);
+
+      return count;
+    } catch (error) {
+      console.error('[BackupService] Failed to restore backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the data kept by a failed migration
+   * Current data is backed up first, like before restoring any backup.
+   * @returns {Promise<number>} Number of templates restored
+   */
+  async restoreMigrationBackup() {
+    try {
+      await this.createBackup('before_restore');
+      return await storageService.restoreMigrationBackup();
+    } catch (error) {
+      console.error('[BackupService] Failed to restore migration backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a backup
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteBackup(backupId) {
+    try {
+      const backups = await this.getBackups();
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.BACKUP_INDEX]: backups.filter(b => b.id !== backupId)
+      });
+      await chrome.storage.local.remove(getBackupKey(backupId));
+      return true;
+    } catch (error) {
+      console.error('[BackupService] Failed to delete backup:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const backupService = new BackupService();
@@ -0,0 +1,199 @@
+/**
+ * History Service
+ * Keeps a bounded revision history per template in local storage
+ */
+
+import { STORAGE_KEYS, HISTORY } from '../utils/constants.js';
+
+// Fields that change on launch or are owned by the storage layer
+const UNTRACKED_FIELDS = ['usageCount', 'lastUsedAt', 'storageArea'];
+
+/**
+ * Get storage key of a template's history
+ * @param {string} templateId - Template ID
+ * @returns {string} Storage key
+ */
+function getHistoryKey(templateId) {
+  return `${STORAGE_KEYS.HISTORY_PREFIX}${templateId}`;
+}
+
+/**
+ * Strip fields that are not part of a template's content
+ * @param {Object} template - Stored template
+ * @returns {Object} Template snapshot
+ */
+function toSnapshot(template) {
+  const snapshot = { ...template };
+  UNTRACKED_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+}
+
+/**
+ * Check if two snapshots differ only in their revision number
+ * @param {Object} a - Template snapshot
+ * @param {Object} b - Template snapshot
+ * @returns {boolean} True if content is the same
+ */
+function isSameContent(a, b) {
+  return JSON.stringify({ ...a, revision: 0 }) === JSON.stringify({ ...b, revision: 0 });
+}
+
+class HistoryService {
+  /**
+   * Get recorded revisions of a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array>} Revisions {revision, savedAt, template, source?}, newest first
+   */
+  async getRevisions(templateId) {
+    try {
+      const key = getHistoryKey(templateId);
+      const result = await chrome.storage.local.get(key);
+      return (result[key] || []).slice().reverse();
+    } catch (error) {
+      console.error('[HistoryService] Failed to get revisions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single recorded revision
+   * @param {string} templateId - Template ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision or null if not recorded
+   */
+  async getRevision(templateId, revision) {
+    const revisions = await this.getRevisions(templateId);
+    return revisions.find(r => r.revision === revision) || null;
+  }
+
+  /**
+   * Record a template change
+   * The previous state is recorded too when it is not in the history yet,
+   * e.g. for the first change or after an edit synced from another device.
+   * @param {Object} previous - Stored template before the change
+   * @param {Object} updated - Stored template after the change
+   * @param {string} source - What made the change, e.g. 'live' for auto-updates (optional)
+   * @returns {Promise<boolean>} Success status
+   */
+  async record(previous, updated, source) {
+    try {
+      const key = getHistoryKey(updated.id);
+      const result = await chrome.storage.local.get(key);
+      const revisions = result[key] || [];
+      const last = revisions[revisions.length - 1];
+      const previousRevision = previous.revision || 0;
+
+      if (!last || last.revision !== previousRevision) {
+        revisions.push({
+          revision: previousRevision,
+          savedAt: null,
+          template: toSnapshot(previous)
+        });
+      }
+
+      const snapshot = toSnapshot(updated);
+      const latest = revisions[revisions.length - 1];
+
+      if (isSameContent(latest.template, snapshot)) {
+        // Saving without changes only moves the latest entry forward
+        latest.revision = updated.revision;
+        latest.template = snapshot;
+      } else {
+        revisions.push({
+          revision: updated.revision,
+          savedAt: new Date().toISOString(),
+          template: snapshot,
+          ...(source && { source })
+        });
+      }
+
+      await chrome.storage.local.set({
+        [key]: revisions.slice(-HISTORY.MAX_REVISIONS)
+      });
+      return true;
+    } catch (error) {
+      // History is best effort and must never block the edit itself
+      console.error('[HistoryService] Failed to record revision:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Compare the tabs and fields of two template revisions
+   * Tabs are matched by URL, so retitled tabs count as unchanged.
+   * @param {Object} from - Older template snapshot
+   * @param {Object} to - Newer template snapshot
+   * @returns {Object} Diff {added, removed, unchanged, fields}
+   */
+  diff(from, to) {
+    // Count URLs so duplicate tabs are matched one to one
+    const available = new Map();
+    from.tabs.forEach(tab => available.set(tab.url, (available.get(tab.url) || 0) + 1));
+
+    const added = [];
+    const unchanged = [];
+    to.tabs.forEach(tab => {
+      const count = available.get(tab.url) || 0;
+      if (count > 0) {
+        available.set(tab.url, count - 1);
+        unchanged.push(tab);
+      } else {
+        added.push(tab);
+      }
+    });
+
+    const removed = from.tabs.filter(tab => {
+      const count = available.get(tab.url) || 0;
+      if (count === 0) return false;
+      available.set(tab.url, count - 1);
+      return true;
+    });
+
+    const ignored = new Set(['id', 'tabs', 'revision', 'createdAt', ...UNTRACKED_FIELDS]);
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+      .filter(field => !ignored.has(field))
+      .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]));
+
+    return { added, removed, unchanged, fields };
+  }
+
+  /**
+   * Delete the history of templates
+   * @param {Array<string>} templateIds - Template IDs
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(templateIds) {
+    try {
+      await chrome.storage.local.remove(templateIds.map(getHistoryKey));
+      return true;
+    } catch (error) {
+      console.error('[HistoryService] Failed to remove history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the history of every template not in the given list
+   * @param {Array<string>} keepIds - IDs of templates that still exist
+   * @returns {Promise<number>} Number of histories removed
+   */
+  async prune(keepIds) {
+    try {
+      const keep = new Set(keepIds.map(getHistoryKey));
+      const all = await chrome.storage.local.get(null);
+      const stale = Object.keys(all)
+        .filter(key => key.startsWith(STORAGE_KEYS.HISTORY_PREFIX) && !keep.has(key));
+
+      if (stale.length > 0) {
+        await chrome.storage.local.remove(stale);
+      }
+      return stale.length;
+    } catch (error) {
+      console.error('[HistoryService] Failed to prune history:', error);
+      return 0;
+    }
+  }
+}
+
+// Export singleton instance
+export const historyService = new HistoryService();
@@ -0,0 +1,117 @@
+/**
+ * Migration Service
+ * Ordered upgrade steps between data schema versions
+ */
+
+import { APP_INFO } from '../utils/constants.js';
+import { validateTemplate, isRestrictedUrl } from '../utils/validator.js';
+import { compareVersions, deepClone } from '../utils/helpers.js';
+
+/**
+ * Upgrade steps, in ascending version order.
+ * Each step upgrades data written by the previous version to its own version
+ * and may define migrateTemplate(template) and/or migrateSettings(settings).
+ */
+const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Add per-template sync preference',
+    migrateTemplate(template) {
+      return { syncEnabled: true, ...template };
+    }
+  },
+  {
+    version: '1.2.0',
+    description: 'Check tab groups, windows, folders and restricted tabs',
+    migrateTemplate(template) {
+      const { folder, ...rest } = template;
+      const groups = template.groups || [];
+      const groupIds = new Set(groups.map(group => group.id));
+      const lastWindow = Math.max((template.windows || []).length, 1) - 1;
+
+      return {
+        ...rest,
+        groups,
+        // Templates outside folders have no folder at all
+        ...(folder ? { folder } : {}),
+        tabs: template.tabs.map(({ groupId, windowIndex, ...tab }) => ({
+          ...tab,
+          // Browser, file and extension pages saved before restricted tabs existed
+          ...(tab.restricted === undefined && isRestrictedUrl(tab.url) ? { restricted: true } : {}),
+          ...(groupIds.has(groupId) ? { groupId } : {}),
+          ...(windowIndex !== undefined ? { windowIndex: Math.min(windowIndex, lastWindow) } : {})
+        }))
+      };
+    }
+  }
+];
+
+class MigrationService {
+  /**
+   * Get steps that still have to run for data at a given version
+   * @param {string} fromVersion - Version the data was written with
+   * @returns {Array} Pending migration steps
+   */
+  getPendingSteps(fromVersion) {
+    return MIGRATIONS.filter(step => 
+      compareVersions(step.version, fromVersion) > 0 &&
+      compareVersions(step.version, APP_INFO.DATA_VERSION) <= 0
+    );
+  }
+
+  /**
+   * Check if data at a given version needs upgrading
+   * @param {string} fromVersion - Version the data was written with
+   * @returns {boolean} True if migration is needed
+   */
+  needsMigration(fromVersion) {
+    return compareVersions(fromVersion, APP_INFO.DATA_VERSION) < 0;
+  }
+
+  /**
+   * Run all pending steps and validate the result
+   * @param {Object} data - Data object {templates, settings}
+   * @param {string} fromVersion - Version the data was written with
+   * @returns {Object} Migrated data {templates, settings, version}
+   */
+  migrate(data, fromVersion = APP_INFO.BASE_DATA_VERSION) {
+    if (compareVersions(fromVersion, APP_INFO.DATA_VERSION) > 0) {
+      throw new Error(`Data version ${fromVersion} is newer than supported version ${APP_INFO.DATA_VERSION}`);
+    }
+
+    let templates = deepClone(data.templates || []);
+    let settings = data.settings ? deepClone(data.settings) : null;
+
+    for (const step of this.getPendingSteps(fromVersion)) {
+      console.log(`[MigrationService] Migrating to ${step.version}: ${step.description}`);
+
+      try {
+        if (step.migrateTemplate) {
+          templates = templates.map(template => step.migrateTemplate(template));
+        }
+        if (step.migrateSettings && settings) {
+          settings = step.migrateSettings(settings);
+        }
+      } catch (error) {
+        throw new Error(`Migration to ${step.version} failed: ${error.message}`);
+      }
+    }
+
+    // Validate migrated templates
+    templates.forEach((template, i) => {
+      const validation = validateTemplate(template);
+      if (!validation.isValid) {
+        throw new Error(`Template ${i + 1}: ${validation.error}`);
+      }
+    });
+
+    return {
+      templates,
+      settings,
+      version: APP_INFO.DATA_VERSION
+    };
+  }
+}
+
+// Export singleton instance
+export const migrationService = new MigrationService();
@@ -0,0 +1,297 @@
+/**
+ * Session Service
+ * Records what each template launch opened and closed so it can be undone,
+ * and which windows are linked to live templates
+ * Both live in chrome.storage.session since tab and window IDs are only
+ * valid until the browser restarts.
+ */
+
+import { STORAGE_KEYS, SESSIONS } from '../utils/constants.js';
+import { generateUUID } from '../utils/helpers.js';
+
+/**
+ * Find the recently closed entries of tabs closed by a launch
+ * Restoring through chrome.sessions brings back the tab's history too.
+ * @param {Array} closedTabs - Closed tabs {url, title, index, windowId}
+ * @returns {Promise<Array>} Same tabs, with a sessionId where one was found
+ */
+async function findClosedSessions(closedTabs) {
+  if (closedTabs.length === 0) return closedTabs;
+
+  try {
+    const recent = await chrome.sessions.getRecentlyClosed({
+      maxResults: chrome.sessions.MAX_SESSION_RESULTS
+    });
+    const available = recent.filter(entry => entry.tab).map(entry => entry.tab);
+
+    return closedTabs.map(tab => {
+      const index = available.findIndex(entry => entry.url === tab.url);
+      if (index === -1) return tab;
+
+      const [match] = available.splice(index, 1);
+      return { ...tab, sessionId: match.sessionId };
+    });
+  } catch (error) {
+    console.warn('[SessionService] Failed to look up closed tabs:', error);
+    return closedTabs;
+  }
+}
+
+class SessionService {
+  /**
+   * Get recorded launch sessions
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async getSessions() {
+    try {
+      const result = await chrome.storage.session.get(STORAGE_KEYS.SESSIONS);
+      return result[STORAGE_KEYS.SESSIONS] || [];
+    } catch (error) {
+      console.error('[SessionService] Failed to get sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recent launch session
+   * @returns {Promise<Object|null>} Session or null if nothing was launched
+   */
+  async getLastSession() {
+    const [session] = await this.getSessions();
+    return session || null;
+  }
+
+  /**
+   * Record a template launch
+   * @param {Object} template - Launched template
+   * @param {Object} result - Result of tabService.openTabs
+   * @returns {Promise<Object>} Session {id, templateId, templateName, launchedAt,
+   *   windowId, createdWindow, tabIds, closedTabs}
+   */
+  async recordLaunch(template, result) {
+    try {
+      const session = {
+        id: generateUUID(),
+        templateId: template.id,
+        templateName: template.name,
+        launchedAt: new Date().toISOString(),
+        windowId: result.windowId,
+        createdWindow: result.createdWindow,
+        tabIds: result.tabIds,
+        closedTabs: await findClosedSessions(result.closedTabs)
+      };
+
+      const sessions = [session, ...await this.getSessions()];
+      await chrome.storage.session.set({
+        [STORAGE_KEYS.SESSIONS]: sessions.slice(0, SESSIONS.MAX_SESSIONS)
+      });
+
+      return session;
+    } catch (error) {
+      console.error('[SessionService] Failed to record launch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a launch session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeSession(sessionId) {
+    try {
+      const sessions = await this.getSessions();
+      await chrome.storage.session.set({
+        [STORAGE_KEYS.SESSIONS]: sessions.filter(s => s.id !== sessionId)
+      });
+      return true;
+    } catch (error) {
+      console.error('[SessionService] Failed to remove session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget all launch sessions of a template, e.g. once its tabs are closed
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeTemplateSessions(templateId) {
+    try {
+      const sessions = await this.getSessions();
+      await chrome.storage.session.set({
+        [STORAGE_KEYS.SESSIONS]: sessions.filter(s => s.templateId !== templateId)
+      });
+      return true;
+    } catch (error) {
+      console.error('[SessionService] Failed to remove template sessions:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get windows linked to live templates
+   * @returns {Promise<Object>} Template ID by window ID
+   */
+  async getLinks() {
+    try {
+      const result = await chrome.storage.session.get(STORAGE_KEYS.LINKS);
+      return result[STORAGE_KEYS.LINKS] || {};
+    } catch (error) {
+      console.error('[SessionService] Failed to get links:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the live template linked to a window
+   * @param {number} windowId - Window ID
+   * @returns {Promise<string|null>} Template ID or null if not linked
+   */
+  async getLinkedTemplate(windowId) {
+    const links = await this.getLinks();
+    return links[windowId] || null;
+  }
+
+  /**
+   * Link a window to a live template
+   * A template follows one window at a time, so older links are replaced.
+   * @param {number} windowId - Window ID
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async linkWindow(windowId, templateId) {
+    try {
+      const links = await this.getLinks();
+      Object.keys(links)
+        .filter(id => links[id] === templateId)
+        .forEach(id => delete links[id]);
+
+      await chrome.storage.session.set({
+        [STORAGE_KEYS.LINKS]: { ...links, [windowId]: templateId }
+      });
+      console.log('[SessionService] Window linked:', windowId, templateId);
+      return true;
+    } catch (error) {
+      console.error('[SessionService] Failed to link window:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop keeping templates in step with their windows
+   * @param {Function} predicate - Called with (windowId, templateId), true to unlink
+   * @returns {Promise<number>} Number of removed links
+   */
+  async unlink(predicate) {
+    try {
+      const links = await this.getLinks();
+      const removed = Object.keys(links).filter(id => predicate(Number(id), links[id]));
+      if (removed.length === 0) return 0;
+
+      removed.forEach(id => delete links[id]);
+      await chrome.storage.session.set({ [STORAGE_KEYS.LINKS]: links });
+      return removed.length;
+    } catch (error) {
+      console.error('[SessionService] Failed to unlink:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink a window, e.g. after it was closed
+   * @param {number} windowId - Window ID
+   * @returns {Promise<number>} Number of removed links
+   */
+  async unlinkWindow(windowId) {
+    return await this.unlink(id => id === windowId);
+  }
+
+  /**
+   * Unlink a template from its window
+   * @param {string} templateId - Template ID
+   * @returns {Promise<number>} Number of removed links
+   */
+  async unlinkTemplate(templateId) {
+    return await this.unlink((windowId, id) => id === templateId);
+  }
+
+  /**
+   * Undo a launch: reopen the tabs it closed and close the tabs it opened
+   * Closed tabs are reopened first so their window isn't closed along with
+   * the launched tabs.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Result {closedTabs, reopenedTabs}
+   */
+  async undoLaunch(sessionId) {
+    try {
+      const sessions = await this.getSessions();
+      const session = sessions.find(s => s.id === sessionId);
+      if (!session) {
+        throw new Error('Launch not found');
+      }
+
+      let reopenedTabs = 0;
+      for (const tab of session.closedTabs) {
+        if (await this.reopenTab(tab)) reopenedTabs++;
+      }
+
+      // Tabs the user already closed are gone, the rest are still ours
+      const openTabs = await chrome.tabs.query({});
+      const openIds = new Set(openTabs.map(tab => tab.id));
+      const tabIds = session.tabIds.filter(id => openIds.has(id));
+
+      if (tabIds.length > 0) {
+        await chrome.tabs.remove(tabIds);
+      }
+
+      await this.removeSession(sessionId);
+
+      console.log('[SessionService] Launch undone:', session.templateName);
+      return { closedTabs: tabIds.length, reopenedTabs };
+    } catch (error) {
+      console.error('[SessionService] Failed to undo launch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a tab closed by a launch
+   * Falls back to a fresh tab when the closed tab is no longer in the
+   * browser's recently closed list.
+   * @param {Object} tab - Closed tab {url, title, index, windowId, sessionId?}
+   * @returns {Promise<boolean>} Success status
+   */
+  async reopenTab(tab) {
+    if (tab.sessionId) {
+      try {
+        await chrome.sessions.restore(tab.sessionId);
+        return true;
+      } catch (error) {
+        console.warn('[SessionService] Failed to restore closed tab:', tab.url, error);
+      }
+    }
+
+    try {
+      await chrome.tabs.create({
+        windowId: tab.windowId,
+        index: tab.index,
+        url: tab.url,
+        active: false
+      });
+      return true;
+    } catch {
+      // The window is gone too
+      try {
+        await chrome.tabs.create({ url: tab.url, active: false });
+        return true;
+      } catch (error) {
+        console.warn('[SessionService] Failed to reopen tab:', tab.url, error);
+        return false;
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const sessionService = new SessionService();
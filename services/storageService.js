@@ -3,17 +3,203 @@
  * Handles all data persistence using Chrome Storage API
  */
 
-import { STORAGE_KEYS, DEFAULT_SETTINGS, APP_INFO } from '../utils/constants.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, APP_INFO, STORAGE_LIMITS, MUTATIONS } from '../utils/constants.js';
 import { validateTemplate, validateSettings } from '../utils/validator.js';
-import { deepClone } from '../utils/helpers.js';
+import { deepClone, generateUUID, sleep } from '../utils/helpers.js';
+import { migrationService } from './migrationService.js';
+import { trashService } from './trashService.js';
+import { historyService } from './historyService.js';
+
+const textEncoder = new TextEncoder();
+
+// Largest item each storage area accepts; local has no per-item limit
+const AREA_ITEM_LIMITS = {
+  sync: STORAGE_LIMITS.SYNC_ITEM_MAX_BYTES,
+  local: Infinity
+};
+
+/**
+ * Get UTF-8 byte length of a string
+ * @param {string} str - String to measure
+ * @returns {number} Length in bytes
+ */
+function byteLength(str) {
+  return textEncoder.encode(str).length;
+}
+
+/**
+ * Get storage key of a template chunk
+ * @param {string} templateId - Template ID
+ * @param {number} chunkIndex - Chunk index
+ * @returns {string} Storage key
+ */
+function getChunkKey(templateId, chunkIndex) {
+  return `${STORAGE_KEYS.TEMPLATE_PREFIX}${templateId}_${chunkIndex}`;
+}
+
+/**
+ * Get all storage keys of an index entry
+ * @param {Object} entry - Index entry {id, chunks}
+ * @returns {Array<string>} Storage keys
+ */
+function getChunkKeys(entry) {
+  return Array.from({ length: entry.chunks }, (_, i) => getChunkKey(entry.id, i));
+}
+
+/**
+ * Get area a template should be stored in according to its preference
+ * @param {Object} template - Template object
+ * @returns {string} 'sync' | 'local'
+ */
+function getPreferredArea(template) {
+  return template.syncEnabled === false ? 'local' : 'sync';
+}
+
+/**
+ * Check if error was caused by running out of sync storage space
+ * @param {Error} error - Error thrown by chrome.storage
+ * @returns {boolean} True if quota error
+ */
+function isQuotaError(error) {
+  return /QUOTA_BYTES|MAX_ITEMS/.test(error && error.message);
+}
+
+/**
+ * Serialize template into string chunks that each fit in one storage item
+ * @param {Object} template - Template object
+ * @param {number} maxItemBytes - Item size limit of the target area
+ * @returns {Array<string>} JSON chunks
+ */
+function serializeTemplate(template, maxItemBytes) {
+  const json = JSON.stringify(template);
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < json.length) {
+    const key = getChunkKey(template.id, chunks.length);
+    const budget = maxItemBytes - byteLength(key) - STORAGE_LIMITS.CHUNK_MARGIN_BYTES;
+    let length = Math.min(budget, json.length - offset);
+    let chunk;
+    let size;
+
+    // Shrink until the escaped, UTF-8 encoded chunk fits
+    for (;;) {
+      // Never split a surrogate pair across chunks
+      const lastCode = json.charCodeAt(offset + length - 1);
+      if (length > 1 && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+        length--;
+      }
+
+      chunk = json.slice(offset, offset + length);
+      size = byteLength(JSON.stringify(chunk));
+      if (size <= budget) break;
+
+      length = Math.max(1, Math.floor(length * budget / size) - 1);
+    }
+
+    chunks.push(chunk);
+    offset += length;
+  }
+
+  return chunks;
+}
+
+/**
+ * Reassemble template from stored chunks
+ * @param {Object} entry - Index entry {id, chunks}
+ * @param {Object} data - Storage data containing the chunk keys
+ * @returns {Object|null} Template object or null if incomplete
+ */
+function assembleTemplate(entry, data) {
+  const chunks = getChunkKeys(entry).map(key => data[key]);
+
+  // Chunks can be missing while sync is still propagating
+  if (chunks.some(chunk => typeof chunk !== 'string')) {
+    console.warn('[StorageService] Incomplete template data:', entry.id);
+    return null;
+  }
+
+  try {
+    return JSON.parse(chunks.join(''));
+  } catch (error) {
+    console.warn('[StorageService] Corrupt template data:', entry.id);
+    return null;
+  }
+}
+
+/**
+ * Add per-device usage counters to a template's stored baseline
+ * @param {Object} template - Template as stored
+ * @param {Object} usage - Usage by device {deviceId: {templateId: [count, lastUsedMs]}}
+ * @returns {Object} Template with merged usageCount and lastUsedAt
+ */
+function applyUsage(template, usage) {
+  let usageCount = template.usageCount || 0;
+  let lastUsed = template.lastUsedAt ? Date.parse(template.lastUsedAt) : 0;
+
+  Object.values(usage).forEach(deviceUsage => {
+    const entry = deviceUsage[template.id];
+    if (entry) {
+      usageCount += entry[0];
+      lastUsed = Math.max(lastUsed, entry[1]);
+    }
+  });
+
+  return {
+    ...template,
+    usageCount,
+    lastUsedAt: lastUsed ? new Date(lastUsed).toISOString() : null
+  };
+}
+
+/**
+ * Get template ID from a chunk storage key
+ * @param {string} key - Chunk storage key
+ * @returns {string} Template ID
+ */
+function getTemplateIdFromKey(key) {
+  return key.slice(STORAGE_KEYS.TEMPLATE_PREFIX.length, key.lastIndexOf('_'));
+}
+
+/**
+ * Compare two versions of a template index
+ * @param {Array} oldIndex - Previous index entries
+ * @param {Array} newIndex - Current index entries
+ * @returns {Object} {changedIds, listChanged}
+ */
+function diffIndex(oldIndex, newIndex) {
+  const oldChunks = new Map(oldIndex.map(entry => [entry.id, entry.chunks]));
+  const changedIds = [];
+  let listChanged = oldIndex.length !== newIndex.length;
+
+  newIndex.forEach((entry, i) => {
+    if (!oldChunks.has(entry.id) || oldIndex[i]?.id !== entry.id) {
+      listChanged = true;
+    } else if (oldChunks.get(entry.id) !== entry.chunks) {
+      changedIds.push(entry.id);
+    }
+  });
+
+  return { changedIds, listChanged };
+}
 
 class StorageService {
   constructor() {
     this.cache = {
       templates: null,
       settings: null,
-      lastFetch: null
+      lastFetch: null,
+      generation: 0
     };
+    this.listeners = new Set();
+    this.mutationQueue = Promise.resolve();
+    this.deviceId = null;
+
+    // Every extension context (popup, options, startup, service worker)
+    // has its own instance; storage events keep their caches in step
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      this.handleStorageChange(changes, areaName);
+    });
   }
 
   /**
@@ -22,15 +208,25 @@ class StorageService {
   async initialize() {
     try {
       const data = await chrome.storage.sync.get([
-        STORAGE_KEYS.TEMPLATES,
+        STORAGE_KEYS.LEGACY_TEMPLATES,
+        STORAGE_KEYS.TEMPLATE_INDEX,
         STORAGE_KEYS.SETTINGS,
         STORAGE_KEYS.VERSION
       ]);
 
-      // Initialize templates if empty
-      if (!data[STORAGE_KEYS.TEMPLATES]) {
+      // Move templates out of the single-key layout, or initialize if empty
+      if (Array.isArray(data[STORAGE_KEYS.LEGACY_TEMPLATES])) {
+        await this.migrateLegacyTemplates(data[STORAGE_KEYS.LEGACY_TEMPLATES]);
+      } else if (!data[STORAGE_KEYS.TEMPLATE_INDEX]) {
         await chrome.storage.sync.set({
-          [STORAGE_KEYS.TEMPLATES]: []
+          [STORAGE_KEYS.TEMPLATE_INDEX]: []
+        });
+      }
+
+      const localData = await chrome.storage.local.get(STORAGE_KEYS.TEMPLATE_INDEX);
+      if (!localData[STORAGE_KEYS.TEMPLATE_INDEX]) {
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.TEMPLATE_INDEX]: []
         });
       }
 
@@ -41,12 +237,24 @@ class StorageService {
         });
       }
 
-      // Set version
-      if (!data[STORAGE_KEYS.VERSION]) {
-        await chrome.storage.sync.set({
-          [STORAGE_KEYS.VERSION]: APP_INFO.DATA_VERSION
-        });
-      }
+      // Upgrade data written by older versions
+      await this.runMigrations();
+
+      // Drop templates that have been in the trash too long
+      const settings = await this.getSettings();
+      await trashService.purgeExpired(settings.trashRetentionDays);
+
+      // Forget the history of templates that no longer exist anywhere
+      const [syncIndex, localIndex, trashItems] = await Promise.all([
+        this.readIndex('sync'),
+        this.readIndex('local'),
+        trashService.getItems()
+      ]);
+      await historyService.prune([
+        ...syncIndex.map(entry => entry.id),
+        ...localIndex.map(entry => entry.id),
+        ...trashItems.map(item => item.template.id)
+      ]);
 
       return true;
     } catch (error) {
@@ -57,14 +265,26 @@ class StorageService {
 
   /**
    * Get all templates
-   * @returns {Promise<Array>} Array of templates
+   * @returns {Promise<Array>} Array of templates (synced first, then local)
    */
   async getTemplates() {
     try {
-      const result = await chrome.storage.sync.get(STORAGE_KEYS.TEMPLATES);
-      const templates = result[STORAGE_KEYS.TEMPLATES] || [];
-      this.cache.templates = templates;
-      this.cache.lastFetch = Date.now();
+      if (this.cache.templates) {
+        return deepClone(this.cache.templates);
+      }
+
+      const generation = this.cache.generation;
+      const usage = await this.readUsage();
+      const templates = [
+        ...await this.readAreaTemplates('sync'),
+        ...await this.readAreaTemplates('local')
+      ].map(template => applyUsage(template, usage));
+
+      // Don't cache data that was invalidated while it was being read
+      if (generation === this.cache.generation) {
+        this.cache.templates = templates;
+        this.cache.lastFetch = Date.now();
+      }
       return deepClone(templates);
     } catch (error) {
       console.error('[StorageService] Failed to get templates:', error);
@@ -79,8 +299,13 @@ class StorageService {
    */
   async getTemplate(templateId) {
     try {
-      const templates = await this.getTemplates();
-      return templates.find(t => t.id === templateId) || null;
+      if (this.cache.templates) {
+        const cached = this.cache.templates.find(t => t.id === templateId);
+        return cached ? deepClone(cached) : null;
+      }
+
+      const template = await this.readTemplate(templateId);
+      return template ? applyUsage(template, await this.readUsage()) : null;
     } catch (error) {
       console.error('[StorageService] Failed to get template:', error);
       return null;
@@ -100,14 +325,15 @@ class StorageService {
         throw new Error(validation.error);
       }
 
-      const templates = await this.getTemplates();
-      templates.push(template);
-      
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.TEMPLATES]: templates
+      await this.enqueueMutation(async () => {
+        if (await this.findTemplateEntry(template.id)) {
+          throw new Error('Template already exists');
+        }
+
+        await this.persistTemplate({ ...template, revision: 0 });
       });
 
-      this.cache.templates = templates;
+      this.invalidateTemplates();
       return true;
     } catch (error) {
       console.error('[StorageService] Failed to save template:', error);
@@ -123,27 +349,16 @@ class StorageService {
    */
   async updateTemplate(templateId, updates) {
     try {
-      const templates = await this.getTemplates();
-      const index = templates.findIndex(t => t.id === templateId);
-      
-      if (index === -1) {
-        throw new Error('Template not found');
-      }
-
-      // Merge updates with existing template
-      templates[index] = { ...templates[index], ...updates };
+      // Usage statistics are merged from per-device counters and
+      // bookkeeping fields are owned by the storage layer
+      const { usageCount, lastUsedAt, revision, storageArea, ...changes } = updates;
 
-      // Validate updated template
-      const validation = validateTemplate(templates[index]);
-      if (!validation.isValid) {
-        throw new Error(validation.error);
-      }
-
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.TEMPLATES]: templates
-      });
+      await this.mutateTemplate(templateId, template => ({
+        ...template,
+        ...changes,
+        id: templateId
+      }));
 
-      this.cache.templates = templates;
       return true;
     } catch (error) {
       console.error('[StorageService] Failed to update template:', error);
@@ -152,20 +367,86 @@ class StorageService {
   }
 
   /**
-   * Delete template
+   * Apply a change to a stored template atomically.
+   * Mutations from this context run one at a time; writes from other
+   * contexts or devices are detected by revision and the mutator is
+   * re-applied on top of them. Every change is recorded in the
+   * template's revision history.
+   * @param {string} templateId - Template ID
+   * @param {Function} mutator - Receives a copy of the template, returns the updated template
+   * @param {Object} options - {source} recorded with the history entry (optional)
+   * @returns {Promise<Object>} Updated template
+   */
+  async mutateTemplate(templateId, mutator, options = {}) {
+    return this.enqueueMutation(async () => {
+      for (let attempt = 1; attempt <= MUTATIONS.MAX_ATTEMPTS; attempt++) {
+        const location = await this.findTemplateEntry(templateId);
+        const current = location && await this.readTemplate(templateId);
+        
+        if (!current) {
+          throw new Error('Template not found');
+        }
+
+        const currentRevision = current.revision || 0;
+        const updated = {
+          ...mutator(deepClone(current)),
+          id: templateId,
+          revision: currentRevision + 1
+        };
+
+        // Validate updated template
+        const validation = validateTemplate(updated);
+        if (!validation.isValid) {
+          throw new Error(validation.error);
+        }
+
+        // Compare-and-swap: only write if nobody else has in the meantime
+        const latest = await this.readTemplate(templateId);
+        if (latest && (latest.revision || 0) === currentRevision) {
+          const area = await this.persistTemplate(updated, location.area);
+
+          // Verify our write wasn't overtaken by a concurrent one
+          const written = await this.readTemplate(templateId);
+          if (written && written.revision === updated.revision &&
+              JSON.stringify(written) === JSON.stringify({ ...updated, storageArea: area })) {
+            this.invalidateTemplates();
+            await historyService.record(current, written, options.source);
+            return written;
+          }
+        } else if (!latest) {
+          throw new Error('Template not found');
+        }
+
+        console.warn(`[StorageService] Concurrent write to template ${templateId}, retrying (${attempt})`);
+        await sleep(MUTATIONS.RETRY_DELAY_MS * attempt);
+      }
+
+      throw new Error('Template was modified concurrently, please try again');
+    });
+  }
+
+  /**
+   * Delete template (moves it to the trash)
    * @param {string} templateId - Template ID
    * @returns {Promise<boolean>} Success status
    */
   async deleteTemplate(templateId) {
     try {
-      const templates = await this.getTemplates();
-      const filtered = templates.filter(t => t.id !== templateId);
-      
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.TEMPLATES]: filtered
+      await this.enqueueMutation(async () => {
+        const location = await this.findTemplateEntry(templateId);
+        if (!location) return;
+
+        const template = await this.readTemplate(templateId);
+        if (template) {
+          await trashService.add([applyUsage(template, await this.readUsage())]);
+        }
+
+        // The trashed copy keeps the merged usage, so counters can go
+        await this.removeTemplateData(templateId, location.area);
+        await this.resetUsage([templateId]);
       });
 
-      this.cache.templates = filtered;
+      this.invalidateTemplates();
       return true;
     } catch (error) {
       console.error('[StorageService] Failed to delete template:', error);
@@ -174,27 +455,49 @@ class StorageService {
   }
 
   /**
-   * Update template usage statistics
+   * Update template usage statistics.
+   * Each device only ever writes its own usage counter, so launches on
+   * different devices add up instead of overwriting each other.
    * @param {string} templateId - Template ID
    * @returns {Promise<boolean>} Success status
    */
   async updateTemplateUsage(templateId) {
     try {
-      const templates = await this.getTemplates();
-      const index = templates.findIndex(t => t.id === templateId);
-      
-      if (index === -1) {
+      if (!await this.findTemplateEntry(templateId)) {
         throw new Error('Template not found');
       }
 
-      templates[index].lastUsedAt = new Date().toISOString();
-      templates[index].usageCount = (templates[index].usageCount || 0) + 1;
+      const deviceId = await this.getDeviceId();
+      const key = `${STORAGE_KEYS.USAGE_PREFIX}${deviceId}`;
+
+      await this.enqueueMutation(async () => {
+        for (let attempt = 1; attempt <= MUTATIONS.MAX_ATTEMPTS; attempt++) {
+          const result = await chrome.storage.sync.get([key, STORAGE_KEYS.USAGE_DEVICES]);
+          const usage = result[key] || {};
+          const [count = 0] = usage[templateId] || [];
+          const entry = [count + 1, Date.now()];
+          const items = { [key]: { ...usage, [templateId]: entry } };
+
+          // Devices re-register here in case another device's write dropped them
+          const deviceIds = result[STORAGE_KEYS.USAGE_DEVICES] || await this.findUsageDevices();
+          if (!deviceIds.includes(deviceId)) {
+            items[STORAGE_KEYS.USAGE_DEVICES] = [...deviceIds, deviceId];
+          }
+
+          await chrome.storage.sync.set(items);
+
+          // Another page on this device may have written the counter too
+          const written = await chrome.storage.sync.get(key);
+          const [writtenCount, writtenAt] = (written[key] || {})[templateId] || [];
+          if (writtenCount === entry[0] && writtenAt === entry[1]) return;
 
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.TEMPLATES]: templates
+          await sleep(MUTATIONS.RETRY_DELAY_MS * attempt);
+        }
+
+        throw new Error('Usage counter was modified concurrently');
       });
 
-      this.cache.templates = templates;
+      this.invalidateTemplates();
       return true;
     } catch (error) {
       console.error('[StorageService] Failed to update template usage:', error);
@@ -208,9 +511,18 @@ class StorageService {
    */
   async getSettings() {
     try {
+      if (this.cache.settings) {
+        return deepClone(this.cache.settings);
+      }
+
+      const generation = this.cache.generation;
       const result = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-      const settings = result[STORAGE_KEYS.SETTINGS] || DEFAULT_SETTINGS;
-      this.cache.settings = settings;
+      // Fill in settings added after the stored ones were written
+      const settings = { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] };
+
+      if (generation === this.cache.generation) {
+        this.cache.settings = settings;
+      }
       return deepClone(settings);
     } catch (error) {
       console.error('[StorageService] Failed to get settings:', error);
@@ -225,17 +537,21 @@ class StorageService {
    */
   async updateSettings(updates) {
     try {
-      const currentSettings = await this.getSettings();
-      const newSettings = { ...currentSettings, ...updates };
+      const newSettings = await this.enqueueMutation(async () => {
+        // Read fresh settings so changes from other pages aren't overwritten
+        const result = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+        const merged = { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS], ...updates };
 
-      // Validate settings
-      const validation = validateSettings(newSettings);
-      if (!validation.isValid) {
-        throw new Error(validation.error);
-      }
+        // Validate settings
+        const validation = validateSettings(merged);
+        if (!validation.isValid) {
+          throw new Error(validation.error);
+        }
 
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.SETTINGS]: newSettings
+        await chrome.storage.sync.set({
+          [STORAGE_KEYS.SETTINGS]: merged
+        });
+        return merged;
       });
 
       this.cache.settings = newSettings;
@@ -252,9 +568,10 @@ class StorageService {
    */
   async resetSettings() {
     try {
-      await chrome.storage.sync.set({
+      // Queued so it can't interleave with a pending updateSettings
+      await this.enqueueMutation(() => chrome.storage.sync.set({
         [STORAGE_KEYS.SETTINGS]: DEFAULT_SETTINGS
-      });
+      }));
 
       this.cache.settings = DEFAULT_SETTINGS;
       return true;
@@ -295,30 +612,51 @@ class StorageService {
         throw new Error('Invalid import data format');
       }
 
-      let templates = [];
-      
-      if (merge) {
-        // Merge with existing templates
-        templates = await this.getTemplates();
-        
-        // Add new templates (avoid duplicates by ID)
-        const existingIds = new Set(templates.map(t => t.id));
-        const newTemplates = importData.templates.filter(
-          t => !existingIds.has(t.id)
-        );
+      // Bring older export files up to the current schema
+      const { templates: importedTemplates } = migrationService.migrate(
+        { templates: importData.templates },
+        importData.version || APP_INFO.BASE_DATA_VERSION
+      );
+
+      const count = await this.enqueueMutation(async () => {
+        let templates = [];
+        let newTemplates = importedTemplates;
+        let replacedIds = [];
         
-        templates = [...templates, ...newTemplates];
-      } else {
-        // Replace all templates
-        templates = importData.templates;
-      }
+        if (merge) {
+          // Merge with existing templates (as stored, without merged usage)
+          templates = [
+            ...await this.readAreaTemplates('sync'),
+            ...await this.readAreaTemplates('local')
+          ];
+          
+          // Add new templates (avoid duplicates by ID)
+          const existingIds = new Set(templates.map(t => t.id));
+          newTemplates = importedTemplates.filter(
+            t => !existingIds.has(t.id)
+          );
+          
+          templates = [...templates, ...newTemplates];
+        } else {
+          // Replace all templates
+          templates = importedTemplates;
+          replacedIds = [
+            ...await this.readIndex('sync'),
+            ...await this.readIndex('local')
+          ].map(entry => entry.id);
+        }
 
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.TEMPLATES]: templates
+        await this.replaceTemplates(templates);
+
+        // Imported usage counts already include every device's launches,
+        // and replaced templates don't need theirs any more
+        await this.resetUsage([...replacedIds, ...newTemplates.map(t => t.id)]);
+
+        return merge ? importedTemplates.length : templates.length;
       });
 
-      this.cache.templates = templates;
-      return merge ? importData.templates.length : templates.length;
+      this.invalidateTemplates();
+      return count;
     } catch (error) {
       console.error('[StorageService] Failed to import data:', error);
       throw error;
@@ -326,16 +664,64 @@ class StorageService {
   }
 
   /**
-   * Clear all templates
+   * Restore a template from the trash
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Restored template
+   */
+  async restoreFromTrash(templateId) {
+    try {
+      const restored = await this.enqueueMutation(async () => {
+        const item = await trashService.take(templateId);
+        if (!item) {
+          throw new Error('Template not found in trash');
+        }
+
+        // Keep both if an imported template took the ID in the meantime
+        const template = await this.findTemplateEntry(templateId)
+          ? { ...item.template, id: generateUUID() }
+          : item.template;
+
+        try {
+          await this.persistTemplate({ ...template, revision: 0 });
+        } catch (error) {
+          await trashService.add([item.template]);
+          throw error;
+        }
+
+        // Trashed usage counts already include every device's launches
+        await this.resetUsage([template.id]);
+        return template;
+      });
+
+      this.invalidateTemplates();
+      return restored;
+    } catch (error) {
+      console.error('[StorageService] Failed to restore template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear all templates (moves them to the trash)
    * @returns {Promise<boolean>} Success status
    */
   async clearTemplates() {
     try {
-      await chrome.storage.sync.set({
-        [STORAGE_KEYS.TEMPLATES]: []
+      await this.enqueueMutation(async () => {
+        const usage = await this.readUsage();
+        const templates = [
+          ...await this.readAreaTemplates('sync'),
+          ...await this.readAreaTemplates('local')
+        ];
+
+        if (templates.length > 0) {
+          await trashService.add(templates.map(t => applyUsage(t, usage)));
+        }
+        await this.replaceTemplates([]);
+        await this.resetUsage(templates.map(t => t.id));
       });
 
-      this.cache.templates = [];
+      this.invalidateTemplates();
       return true;
     } catch (error) {
       console.error('[StorageService] Failed to clear templates:', error);
@@ -343,6 +729,474 @@ class StorageService {
     }
   }
 
+  /**
+   * Run a storage mutation after all mutations queued before it in this context
+   * @param {Function} task - Async function performing the mutation
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueueMutation(task) {
+    const run = this.mutationQueue.then(task, task);
+    // Keep the queue going when a mutation fails
+    this.mutationQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get ID identifying this device in usage counters
+   * @returns {Promise<string>} Device ID
+   */
+  async getDeviceId() {
+    if (this.deviceId) return this.deviceId;
+
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DEVICE_ID);
+    this.deviceId = result[STORAGE_KEYS.DEVICE_ID];
+
+    if (!this.deviceId) {
+      this.deviceId = generateUUID();
+      await chrome.storage.local.set({ [STORAGE_KEYS.DEVICE_ID]: this.deviceId });
+    }
+
+    return this.deviceId;
+  }
+
+  /**
+   * Read usage counters of all devices
+   * @returns {Promise<Object>} {deviceId: {templateId: [count, lastUsedMs]}}
+   */
+  async readUsage() {
+    const result = await chrome.storage.sync.get(STORAGE_KEYS.USAGE_DEVICES);
+    const deviceIds = result[STORAGE_KEYS.USAGE_DEVICES] || await this.registerUsageDevices();
+    if (deviceIds.length === 0) return {};
+
+    const data = await chrome.storage.sync.get(
+      deviceIds.map(deviceId => `${STORAGE_KEYS.USAGE_PREFIX}${deviceId}`)
+    );
+    const usage = {};
+
+    deviceIds.forEach(deviceId => {
+      const deviceUsage = data[`${STORAGE_KEYS.USAGE_PREFIX}${deviceId}`];
+      if (deviceUsage) usage[deviceId] = deviceUsage;
+    });
+
+    return usage;
+  }
+
+  /**
+   * Find devices with usage counters by scanning all of sync storage
+   * Only needed for data written before devices were registered.
+   * @returns {Promise<Array<string>>} Device IDs
+   */
+  async findUsageDevices() {
+    const data = await chrome.storage.sync.get(null);
+    return Object.keys(data)
+      .filter(key => key.startsWith(STORAGE_KEYS.USAGE_PREFIX))
+      .map(key => key.slice(STORAGE_KEYS.USAGE_PREFIX.length));
+  }
+
+  /**
+   * Register the devices found in sync storage, so later reads can skip the scan
+   * @returns {Promise<Array<string>>} Device IDs
+   */
+  async registerUsageDevices() {
+    const deviceIds = await this.findUsageDevices();
+    await chrome.storage.sync.set({ [STORAGE_KEYS.USAGE_DEVICES]: deviceIds });
+    return deviceIds;
+  }
+
+  /**
+   * Remove usage counters of templates on every device
+   * @param {Array<string>} templateIds - Template IDs
+   * @returns {Promise<void>}
+   */
+  async resetUsage(templateIds) {
+    if (templateIds.length === 0) return;
+
+    const usage = await this.readUsage();
+    const items = {};
+
+    Object.entries(usage).forEach(([deviceId, deviceUsage]) => {
+      if (templateIds.some(id => id in deviceUsage)) {
+        const remaining = { ...deviceUsage };
+        templateIds.forEach(id => delete remaining[id]);
+        items[`${STORAGE_KEYS.USAGE_PREFIX}${deviceId}`] = remaining;
+      }
+    });
+
+    if (Object.keys(items).length > 0) {
+      await chrome.storage.sync.set(items);
+    }
+  }
+
+  /**
+   * Read template index of a storage area
+   * @param {string} area - 'sync' | 'local'
+   * @returns {Promise<Array>} Index entries {id, chunks} in display order
+   */
+  async readIndex(area) {
+    const result = await chrome.storage[area].get(STORAGE_KEYS.TEMPLATE_INDEX);
+    return result[STORAGE_KEYS.TEMPLATE_INDEX] || [];
+  }
+
+  /**
+   * Read all templates of a storage area
+   * @param {string} area - 'sync' | 'local'
+   * @returns {Promise<Array>} Templates in index order
+   */
+  async readAreaTemplates(area) {
+    const index = await this.readIndex(area);
+    if (index.length === 0) return [];
+
+    const data = await chrome.storage[area].get(index.flatMap(getChunkKeys));
+    return index
+      .map(entry => assembleTemplate(entry, data))
+      .filter(Boolean);
+  }
+
+  /**
+   * Read a template directly from storage, bypassing the cache
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} Template object or null
+   */
+  async readTemplate(templateId) {
+    const location = await this.findTemplateEntry(templateId);
+    if (!location) return null;
+
+    const data = await chrome.storage[location.area].get(getChunkKeys(location.entry));
+    return assembleTemplate(location.entry, data);
+  }
+
+  /**
+   * Find which storage area holds a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} {area, entry} or null if not stored
+   */
+  async findTemplateEntry(templateId) {
+    for (const area of ['sync', 'local']) {
+      const index = await this.readIndex(area);
+      const entry = index.find(e => e.id === templateId);
+      if (entry) return { area, entry };
+    }
+    return null;
+  }
+
+  /**
+   * Store template in its preferred area, overflowing to local storage
+   * when the sync quota is exhausted
+   * @param {Object} template - Template object
+   * @param {string|null} currentArea - Area the template is stored in now
+   * @returns {Promise<string>} Area the template was written to
+   */
+  async persistTemplate(template, currentArea = null) {
+    let area = getPreferredArea(template);
+
+    try {
+      await this.writeTemplate({ ...template, storageArea: area }, area);
+    } catch (error) {
+      if (area !== 'sync' || !isQuotaError(error)) {
+        throw error;
+      }
+
+      console.warn('[StorageService] Sync quota exceeded, storing template locally:', template.id);
+      area = 'local';
+      await this.writeTemplate({ ...template, storageArea: area }, area);
+    }
+
+    if (currentArea && currentArea !== area) {
+      await this.removeTemplateData(template.id, currentArea);
+    }
+
+    return area;
+  }
+
+  /**
+   * Remove a template's chunks and index entry from a storage area
+   * @param {string} templateId - Template ID
+   * @param {string} area - 'sync' | 'local'
+   * @returns {Promise<void>}
+   */
+  async removeTemplateData(templateId, area) {
+    const index = await this.readIndex(area);
+    const entry = index.find(e => e.id === templateId);
+    if (!entry) return;
+
+    await chrome.storage[area].set({
+      [STORAGE_KEYS.TEMPLATE_INDEX]: index.filter(e => e.id !== templateId)
+    });
+    await chrome.storage[area].remove(getChunkKeys(entry));
+  }
+
+  /**
+   * Write one template's chunks and its index entry
+   * @param {Object} template - Template object
+   * @param {string} area - 'sync' | 'local'
+   * @returns {Promise<void>}
+   */
+  async writeTemplate(template, area) {
+    const index = await this.readIndex(area);
+    const chunks = serializeTemplate(template, AREA_ITEM_LIMITS[area]);
+    const entry = { id: template.id, chunks: chunks.length };
+
+    const items = {};
+    chunks.forEach((chunk, i) => {
+      items[getChunkKey(template.id, i)] = chunk;
+    });
+
+    const position = index.findIndex(e => e.id === template.id);
+    const previous = position === -1 ? null : index[position];
+    if (previous) {
+      index[position] = entry;
+    } else {
+      index.push(entry);
+    }
+    items[STORAGE_KEYS.TEMPLATE_INDEX] = index;
+
+    // Chunks and index go out in a single write so readers never see a
+    // chunk count that doesn't match the stored chunks
+    await chrome.storage[area].set(items);
+
+    if (previous && previous.chunks > entry.chunks) {
+      await chrome.storage[area].remove(getChunkKeys(previous).slice(entry.chunks));
+    }
+  }
+
+  /**
+   * Replace all stored templates, in both storage areas
+   * @param {Array} templates - Templates array
+   * @returns {Promise<void>}
+   */
+  async replaceTemplates(templates) {
+    const byArea = { sync: [], local: [] };
+    templates.forEach(template => {
+      const area = getPreferredArea(template);
+      byArea[area].push({ ...template, storageArea: area });
+    });
+
+    await this.replaceAreaTemplates('local', byArea.local);
+
+    try {
+      await this.replaceAreaTemplates('sync', byArea.sync);
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        throw error;
+      }
+
+      // Fill sync one template at a time and overflow the rest
+      console.warn('[StorageService] Sync quota exceeded, overflowing templates locally');
+      await this.replaceAreaTemplates('sync', []);
+      for (const template of byArea.sync) {
+        await this.persistTemplate(template);
+      }
+    }
+  }
+
+  /**
+   * Replace all templates of one storage area
+   * @param {string} area - 'sync' | 'local'
+   * @param {Array} templates - Templates array
+   * @returns {Promise<void>}
+   */
+  async replaceAreaTemplates(area, templates) {
+    const previousIndex = await this.readIndex(area);
+    const items = {};
+    const index = [];
+
+    templates.forEach(template => {
+      const chunks = serializeTemplate(template, AREA_ITEM_LIMITS[area]);
+      chunks.forEach((chunk, i) => {
+        items[getChunkKey(template.id, i)] = chunk;
+      });
+      index.push({ id: template.id, chunks: chunks.length });
+    });
+    items[STORAGE_KEYS.TEMPLATE_INDEX] = index;
+
+    await chrome.storage[area].set(items);
+
+    // Remove chunks no longer referenced by the new index
+    const staleKeys = previousIndex
+      .flatMap(getChunkKeys)
+      .filter(key => !(key in items));
+    if (staleKeys.length > 0) {
+      await chrome.storage[area].remove(staleKeys);
+    }
+  }
+
+  /**
+   * Move templates from the single-key layout into per-template keys
+   * @param {Array} templates - Templates from the legacy key
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyTemplates(templates) {
+    console.log('[StorageService] Migrating templates to sharded layout:', templates.length);
+
+    await this.replaceTemplates(templates);
+
+    // Only drop the legacy key once the new layout is fully written
+    await chrome.storage.sync.remove(STORAGE_KEYS.LEGACY_TEMPLATES);
+  }
+
+  /**
+   * Run pending schema migrations on stored data.
+   * Pre-migration data is copied to local storage first and kept there
+   * if any step fails. A backup left by an earlier failed attempt is kept
+   * as is, since the data may have been partly migrated since.
+   * @returns {Promise<boolean>} True if data was migrated
+   */
+  async runMigrations() {
+    try {
+      const result = await chrome.storage.sync.get([
+        STORAGE_KEYS.VERSION,
+        STORAGE_KEYS.SETTINGS
+      ]);
+      const fromVersion = result[STORAGE_KEYS.VERSION] || APP_INFO.BASE_DATA_VERSION;
+
+      if (!migrationService.needsMigration(fromVersion)) {
+        if (fromVersion !== APP_INFO.DATA_VERSION) {
+          console.warn('[StorageService] Stored data is newer than this version:', fromVersion);
+        }
+        return false;
+      }
+
+      const data = {
+        templates: [
+          ...await this.readAreaTemplates('sync'),
+          ...await this.readAreaTemplates('local')
+        ],
+        settings: result[STORAGE_KEYS.SETTINGS] || null
+      };
+
+      if (!await this.getMigrationBackup()) {
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.MIGRATION_BACKUP]: {
+            version: fromVersion,
+            createdAt: new Date().toISOString(),
+            ...data
+          }
+        });
+      }
+
+      try {
+        const migrated = migrationService.migrate(data, fromVersion);
+
+        await this.enqueueMutation(() => this.replaceTemplates(migrated.templates));
+        await chrome.storage.sync.set({
+          ...(migrated.settings ? { [STORAGE_KEYS.SETTINGS]: migrated.settings } : {}),
+          [STORAGE_KEYS.VERSION]: migrated.version
+        });
+      } catch (error) {
+        console.error('[StorageService] Migration failed, pre-migration data kept as backup:', error);
+        return false;
+      }
+
+      await chrome.storage.local.remove(STORAGE_KEYS.MIGRATION_BACKUP);
+      this.clearCache();
+
+      console.log(`[StorageService] Data migrated from ${fromVersion} to ${APP_INFO.DATA_VERSION}`);
+      return true;
+    } catch (error) {
+      console.error('[StorageService] Failed to run migrations:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get backup left behind by a failed migration
+   * @returns {Promise<Object|null>} Backup {version, createdAt, templates, settings}
+   */
+  async getMigrationBackup() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.MIGRATION_BACKUP);
+      return result[STORAGE_KEYS.MIGRATION_BACKUP] || null;
+    } catch (error) {
+      console.error('[StorageService] Failed to get migration backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Put back the data kept by a failed migration
+   * The stored version goes back too, so the migration runs again from
+   * this data the next time the extension starts.
+   * @returns {Promise<number>} Number of templates restored
+   */
+  async restoreMigrationBackup() {
+    try {
+      const backup = await this.getMigrationBackup();
+      if (!backup) {
+        throw new Error('Migration backup not found');
+      }
+
+      await this.enqueueMutation(async () => {
+        const replacedIds = [
+          ...await this.readIndex('sync'),
+          ...await this.readIndex('local')
+        ].map(entry => entry.id);
+
+        await this.replaceTemplates(backup.templates);
+
+        // Backed up templates were stored without usage, so only the
+        // counters of templates added since are dropped
+        const backupIds = new Set(backup.templates.map(t => t.id));
+        await this.resetUsage(replacedIds.filter(id => !backupIds.has(id)));
+
+        await chrome.storage.sync.set({
+          ...(backup.settings ? { [STORAGE_KEYS.SETTINGS]: backup.settings } : {}),
+          [STORAGE_KEYS.VERSION]: backup.version
+        });
+      });
+
+      await chrome.storage.local.remove(STORAGE_KEYS.MIGRATION_BACKUP);
+      this.clearCache();
+      return backup.templates.length;
+    } catch (error) {
+      console.error('[StorageService] Failed to restore migration backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the backup left behind by a failed migration
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteMigrationBackup() {
+    try {
+      await chrome.storage.local.remove(STORAGE_KEYS.MIGRATION_BACKUP);
+      return true;
+    } catch (error) {
+      console.error('[StorageService] Failed to delete migration backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get folders collapsed in the popup
+   * Kept on this device only, like other view state.
+   * @returns {Promise<Array<string>>} Folder paths
+   */
+  async getCollapsedFolders() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.COLLAPSED_FOLDERS);
+      return result[STORAGE_KEYS.COLLAPSED_FOLDERS] || [];
+    } catch (error) {
+      console.error('[StorageService] Failed to get collapsed folders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remember which folders are collapsed in the popup
+   * @param {Array<string>} folders - Folder paths
+   * @returns {Promise<boolean>} Success status
+   */
+  async setCollapsedFolders(folders) {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.COLLAPSED_FOLDERS]: folders });
+      return true;
+    } catch (error) {
+      console.error('[StorageService] Failed to save collapsed folders:', error);
+      return false;
+    }
+  }
+
   /**
    * Get storage usage info
    * @returns {Promise<Object>} Storage info
@@ -351,12 +1205,15 @@ class StorageService {
     try {
       const bytesInUse = await chrome.storage.sync.getBytesInUse();
       const quota = chrome.storage.sync.QUOTA_BYTES;
+      const localBytesInUse = await chrome.storage.local.getBytesInUse();
       
       return {
         bytesInUse,
         quota,
         percentUsed: (bytesInUse / quota) * 100,
-        available: quota - bytesInUse
+        available: quota - bytesInUse,
+        localBytesInUse,
+        localQuota: STORAGE_LIMITS.LOCAL_QUOTA_BYTES
       };
     } catch (error) {
       console.error('[StorageService] Failed to get storage info:', error);
@@ -364,6 +1221,118 @@ class StorageService {
     }
   }
 
+  /**
+   * Subscribe to template, settings, trash, backup, launch session, live link and closed window
+   * changes from any extension context
+   * @param {Function} listener - Called with {templateIds, listChanged, settingsChanged, trashChanged,
+   *   backupsChanged, sessionsChanged, linksChanged, autoSessionsChanged}
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Handle chrome.storage.onChanged: invalidate cache and notify listeners
+   * @param {Object} changes - Changed items
+   * @param {string} areaName - Storage area name
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync' && areaName !== 'local' && areaName !== 'session') return;
+
+    const templateIds = new Set();
+    let listChanged = false;
+    let settingsChanged = false;
+    let trashChanged = false;
+    let backupsChanged = false;
+    let sessionsChanged = false;
+    let linksChanged = false;
+    let autoSessionsChanged = false;
+
+    Object.entries(changes).forEach(([key, change]) => {
+      if (key === STORAGE_KEYS.TEMPLATE_INDEX) {
+        try {
+          const diff = diffIndex(change.oldValue || [], change.newValue || []);
+          diff.changedIds.forEach(id => templateIds.add(id));
+          listChanged = listChanged || diff.listChanged;
+        } catch (error) {
+          // Caches must still be dropped, so treat it as a whole new list
+          console.error('[StorageService] Failed to compare template index:', error);
+          listChanged = true;
+        }
+      } else if (key.startsWith(STORAGE_KEYS.TEMPLATE_PREFIX)) {
+        templateIds.add(getTemplateIdFromKey(key));
+      } else if (key.startsWith(STORAGE_KEYS.USAGE_PREFIX)) {
+        // Usage counters are merged into templates on read
+        const oldUsage = change.oldValue || {};
+        const newUsage = change.newValue || {};
+        new Set([...Object.keys(oldUsage), ...Object.keys(newUsage)]).forEach(id => {
+          if (JSON.stringify(oldUsage[id]) !== JSON.stringify(newUsage[id])) {
+            templateIds.add(id);
+          }
+        });
+      } else if (key === STORAGE_KEYS.SETTINGS && areaName === 'sync') {
+        settingsChanged = true;
+      } else if (key === STORAGE_KEYS.TRASH && areaName === 'local') {
+        trashChanged = true;
+      } else if (key === STORAGE_KEYS.BACKUP_INDEX && areaName === 'local') {
+        backupsChanged = true;
+      } else if (key === STORAGE_KEYS.SESSIONS && areaName === 'session') {
+        sessionsChanged = true;
+      } else if (key === STORAGE_KEYS.LINKS && areaName === 'session') {
+        linksChanged = true;
+      } else if (key === STORAGE_KEYS.AUTO_SESSIONS && areaName === 'local') {
+        autoSessionsChanged = true;
+      }
+    });
+
+    if (templateIds.size === 0 && !listChanged && !settingsChanged &&
+        !trashChanged && !backupsChanged && !sessionsChanged && !linksChanged &&
+        !autoSessionsChanged) return;
+
+    if (templateIds.size > 0 || listChanged) {
+      this.invalidateTemplates();
+    }
+    if (settingsChanged) {
+      this.invalidateSettings();
+    }
+
+    const event = {
+      templateIds: [...templateIds],
+      listChanged,
+      settingsChanged,
+      trashChanged,
+      backupsChanged,
+      sessionsChanged,
+      linksChanged,
+      autoSessionsChanged
+    };
+
+    // Most listeners are async, so rejections are caught as well as throws
+    this.listeners.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch(error => console.error('[StorageService] Change listener failed:', error));
+    });
+  }
+
+  /**
+   * Drop cached templates
+   */
+  invalidateTemplates() {
+    this.cache.templates = null;
+    this.cache.generation++;
+  }
+
+  /**
+   * Drop cached settings
+   */
+  invalidateSettings() {
+    this.cache.settings = null;
+    this.cache.generation++;
+  }
+
   /**
    * Clear cache
    */
@@ -371,7 +1340,8 @@ class StorageService {
     this.cache = {
       templates: null,
       settings: null,
-      lastFetch: null
+      lastFetch: null,
+      generation: this.cache.generation + 1
     };
   }
 }
@@ -3,10 +3,186 @@
  * Handles all tab operations using Chrome Tabs API
  */
 
-import { validateUrl } from '../utils/validator.js';
-import { getFaviconUrl } from '../utils/helpers.js';
+import { validateUrl, validateTabUrl, isRestrictedUrl } from '../utils/validator.js';
+import { getFaviconUrl, generateUUID, getUrlMatchKey, findExclusionRule } from '../utils/helpers.js';
+import { LAUNCH, CAPTURE, RESTRICTED } from '../utils/constants.js';
+
+/**
+ * Convert a Chrome tab into a template tab
+ * Flags are only stored when set, to keep templates small in sync storage.
+ * Placeholder pages are saved as the restricted tab they stand in for.
+ * @param {Object} tab - Chrome tab
+ * @returns {Object} Template tab {url, title, favicon, restricted?, pinned?, active?, muted?, groupId?}
+ */
+function toTemplateTab(tab) {
+  const placeholder = getPlaceholderTarget(tab.url);
+  const url = placeholder ? placeholder.url : tab.url;
+  const restricted = isRestrictedUrl(url);
+
+  return {
+    url,
+    title: placeholder ? placeholder.title : tab.title,
+    // Favicon services only know web pages
+    favicon: placeholder ? '' : tab.favIconUrl || (restricted ? '' : getFaviconUrl(url)),
+    ...(restricted && { restricted: true }),
+    ...(tab.pinned && { pinned: true }),
+    ...(tab.active && { active: true }),
+    ...(tab.mutedInfo && tab.mutedInfo.muted && { muted: true }),
+    // Chrome group ID, replaced by a template group ID in captureGroups
+    ...(tab.groupId > -1 && { groupId: tab.groupId })
+  };
+}
+
+/**
+ * Get the restricted tab a placeholder page stands in for
+ * @param {string} url - Tab URL
+ * @returns {Object|null} {url, title} or null if the URL isn't a placeholder
+ */
+function getPlaceholderTarget(url) {
+  const placeholderUrl = chrome.runtime.getURL(RESTRICTED.PLACEHOLDER_PAGE);
+  if (!url || !url.startsWith(placeholderUrl)) return null;
+
+  const params = new URL(url).searchParams;
+  if (!isRestrictedUrl(params.get('url'))) return null;
+  return { url: params.get('url'), title: params.get('title') || params.get('url') };
+}
+
+/**
+ * Get the URL a template tab is opened with
+ * Extensions can't open browser pages, pages of other extensions, or local
+ * files without file access, so those open a placeholder showing their URL.
+ * @param {Object} tab - Template tab
+ * @param {boolean} fileAccess - Whether the extension may open file:// URLs
+ * @returns {string} URL to open
+ */
+function getLaunchUrl(tab, fileAccess) {
+  if (!tab.restricted) return tab.url;
+
+  const protocol = new URL(tab.url).protocol;
+  const ownPage = tab.url.startsWith(chrome.runtime.getURL(''));
+  if (ownPage || (protocol === 'file:' && fileAccess)) return tab.url;
+
+  const params = new URLSearchParams({ url: tab.url, title: tab.title || '' });
+  return `${chrome.runtime.getURL(RESTRICTED.PLACEHOLDER_PAGE)}?${params}`;
+}
+
+/**
+ * Check if the extension may open file:// URLs
+ * @returns {Promise<boolean>} True if the user allowed file access
+ */
+async function hasFileAccess() {
+  try {
+    return await chrome.extension.isAllowedFileSchemeAccess();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the saved geometry of a Chrome window
+ * @param {Object} win - Chrome window
+ * @returns {Object} Saved window {state, left, top, width, height}
+ */
+function toSavedWindow(win) {
+  return {
+    state: win.state,
+    left: win.left,
+    top: win.top,
+    width: win.width,
+    height: win.height
+  };
+}
+
+/**
+ * Get chrome.windows.create properties that restore a saved window's geometry
+ * Chrome only accepts bounds for normal windows.
+ * @param {Object} savedWindow - Saved window {state, left, top, width, height}
+ * @returns {Object} Window create properties
+ */
+function getWindowGeometry(savedWindow = {}) {
+  if (savedWindow.state && savedWindow.state !== 'normal') {
+    return { state: savedWindow.state };
+  }
+
+  const geometry = {};
+  ['left', 'top', 'width', 'height'].forEach(key => {
+    if (Number.isInteger(savedWindow[key])) geometry[key] = savedWindow[key];
+  });
+  return geometry;
+}
+
+/**
+ * Get the window a launch into an existing window should use
+ * @param {number} windowId - Chosen window ID (optional)
+ * @returns {Promise<number>} Chosen window ID, or the current window's
+ */
+async function getTargetWindowId(windowId) {
+  if (windowId !== undefined) return windowId;
+
+  const currentWindow = await chrome.windows.getCurrent();
+  return currentWindow.id;
+}
+
+/**
+ * Create a progress callback that counts opened tabs
+ * @param {number} total - Number of tabs being opened
+ * @param {Function} onProgress - Called with {opened, total} (optional)
+ * @returns {Function} Callback taking the number of newly opened tabs
+ */
+function trackProgress(total, onProgress) {
+  let opened = 0;
+  return (count) => {
+    opened += count;
+    if (!onProgress) return;
+    try {
+      onProgress({ opened, total });
+    } catch (error) {
+      console.error('[TabService] Progress callback failed:', error);
+    }
+  };
+}
+
+/**
+ * Create a launch report entry for a template tab
+ * @param {Object} tab - Template tab
+ * @param {number} index - Index of the tab in the template
+ * @param {string} status - 'opened' | 'reused' | 'skipped_invalid' | 'failed'
+ * @param {string} reason - Why the tab was not opened, or a reused tab not moved (optional)
+ * @returns {Object} Report entry {index, url, title, status, reason?}
+ */
+function createReportEntry(tab, index, status, reason) {
+  return {
+    index,
+    url: tab.url,
+    title: tab.title,
+    status,
+    ...(reason && { reason })
+  };
+}
+
+/**
+ * Summarize per-tab launch results
+ * @param {Array} entries - Report entries
+ * @returns {Object} Report {total, opened, reused, skipped, failed, tabs}, tabs in template order
+ */
+function createLaunchReport(entries) {
+  const count = status => entries.filter(entry => entry.status === status).length;
+  return {
+    total: entries.length,
+    opened: count('opened'),
+    reused: count('reused'),
+    skipped: count('skipped_invalid'),
+    failed: count('failed'),
+    tabs: entries.slice().sort((a, b) => a.index - b.index)
+  };
+}
 
 class TabService {
+  constructor() {
+    // Lazy tabs waiting for their URL to commit before being discarded
+    this.discarding = new Set();
+  }
+
   /**
    * Get all tabs in current window
    * @param {boolean} includeIncognito - Include incognito tabs
@@ -23,17 +199,203 @@ class TabService {
         ? tabs 
         : tabs.filter(tab => !tab.incognito);
 
-      return filteredTabs.map(tab => ({
-        url: tab.url,
-        title: tab.title,
-        favicon: tab.favIconUrl || getFaviconUrl(tab.url)
-      }));
+      return filteredTabs.map(toTemplateTab);
     } catch (error) {
       console.error('[TabService] Failed to get current window tabs:', error);
       return [];
     }
   }
 
+  /**
+   * Get the tabs of the current window within a capture scope
+   * Tabs right or left of the active tab don't include the active tab.
+   * @param {string} scope - 'window' | 'highlighted' | 'group' | 'right' | 'left'
+   * @param {Object} options - {groupId} of the group to capture, defaults to the active tab's group
+   * @returns {Promise<Array>} Array of tab objects, in tab order
+   */
+  async getScopeTabs(scope = CAPTURE.DEFAULT_SCOPE, options = {}) {
+    try {
+      const tabs = (await chrome.tabs.query({ currentWindow: true }))
+        .filter(tab => !tab.incognito)
+        .sort((a, b) => a.index - b.index);
+      const active = tabs.find(tab => tab.active);
+
+      let selected;
+      switch (scope) {
+        case 'window':
+          selected = tabs;
+          break;
+
+        case 'highlighted':
+          selected = tabs.filter(tab => tab.highlighted);
+          break;
+
+        case 'group': {
+          const groupId = options.groupId ?? (active ? active.groupId : -1);
+          selected = groupId > -1 ? tabs.filter(tab => tab.groupId === groupId) : [];
+          break;
+        }
+
+        case 'right':
+          selected = active ? tabs.filter(tab => tab.index > active.index) : [];
+          break;
+
+        case 'left':
+          selected = active ? tabs.filter(tab => tab.index < active.index) : [];
+          break;
+
+        default:
+          throw new Error('Invalid capture scope');
+      }
+
+      return selected.map(toTemplateTab);
+    } catch (error) {
+      console.error('[TabService] Failed to get scope tabs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tab groups of the current window
+   * @returns {Promise<Array>} Chrome tab groups {id, title, color}
+   */
+  async getCurrentWindowGroups() {
+    if (!chrome.tabGroups) return [];
+
+    try {
+      const currentWindow = await chrome.windows.getCurrent();
+      return await chrome.tabGroups.query({ windowId: currentWindow.id });
+    } catch (error) {
+      console.error('[TabService] Failed to get tab groups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all tabs in a window
+   * @param {number} windowId - Window ID
+   * @returns {Promise<Array>} Array of tab objects, empty if the window is gone
+   */
+  async getWindowTabs(windowId) {
+    try {
+      const tabs = await chrome.tabs.query({ windowId });
+      return tabs.map(toTemplateTab);
+    } catch (error) {
+      console.error('[TabService] Failed to get window tabs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Capture the tabs, tab groups and geometry of a window
+   * @param {number} windowId - Window ID
+   * @returns {Promise<Object|null>} {tabs, groups, window}, null for closed, incognito
+   *   and non-normal windows
+   */
+  async captureWindow(windowId) {
+    try {
+      const win = await chrome.windows.get(windowId, { populate: true });
+      if (win.type !== 'normal' || win.incognito) return null;
+
+      const tabs = this.filterValidTabs(win.tabs.map(toTemplateTab));
+      const { tabs: groupedTabs, groups } = await this.captureGroups(tabs);
+      return { tabs: groupedTabs, groups, window: toSavedWindow(win) };
+    } catch (error) {
+      // The window was closed in the meantime
+      return null;
+    }
+  }
+
+  /**
+   * Capture open tabs, e.g. the tabs of a launch that may span windows
+   * @param {Array} tabs - Chrome tabs, in window and tab order
+   * @returns {Promise<Object>} {tabs, groups}, each tab carrying the windowIndex
+   *   of its window in order of appearance
+   */
+  async captureTabs(tabs) {
+    const windowIds = [...new Set(tabs.map(tab => tab.windowId))];
+    const captured = this.filterValidTabs(tabs.map(tab => ({
+      ...toTemplateTab(tab),
+      windowIndex: windowIds.indexOf(tab.windowId)
+    })));
+    return await this.captureGroups(captured);
+  }
+
+  /**
+   * Turn Chrome tab group membership of captured tabs into template groups
+   * @param {Array} tabs - Captured tabs, grouped ones carrying a Chrome groupId
+   * @returns {Promise<Object>} {tabs, groups} using template group IDs
+   */
+  async captureGroups(tabs) {
+    const groups = [];
+    const groupIds = new Map();
+
+    if (chrome.tabGroups) {
+      const chromeGroupIds = [...new Set(tabs.map(tab => tab.groupId).filter(id => id !== undefined))];
+
+      for (const chromeGroupId of chromeGroupIds) {
+        try {
+          const group = await chrome.tabGroups.get(chromeGroupId);
+          const id = generateUUID();
+          groupIds.set(chromeGroupId, id);
+          groups.push({
+            id,
+            title: group.title || '',
+            color: group.color,
+            collapsed: group.collapsed
+          });
+        } catch (error) {
+          // Group was closed while capturing, keep its tabs ungrouped
+          console.warn('[TabService] Failed to read tab group:', error);
+        }
+      }
+    }
+
+    return {
+      tabs: tabs.map(({ groupId, ...tab }) => 
+        groupIds.has(groupId) ? { ...tab, groupId: groupIds.get(groupId) } : tab
+      ),
+      groups
+    };
+  }
+
+  /**
+   * Get tabs and geometry of every normal window
+   * Windows left without tabs by the exclusion rules are left out too.
+   * @param {boolean} includeIncognito - Include incognito windows
+   * @param {Object} exclusions - {rules, include} passed to applyExclusions (optional)
+   * @returns {Promise<Object>} {tabs, windows, excluded}, each tab carrying its windowIndex
+   */
+  async getAllWindowsTabs(includeIncognito = false, exclusions = {}) {
+    try {
+      const chromeWindows = await chrome.windows.getAll({
+        populate: true,
+        windowTypes: ['normal']
+      });
+
+      const tabs = [];
+      const windows = [];
+      const excluded = [];
+
+      chromeWindows
+        .filter(win => includeIncognito || !win.incognito)
+        .forEach(win => {
+          const captured = this.applyExclusions(this.filterValidTabs(win.tabs.map(toTemplateTab)), exclusions);
+          excluded.push(...captured.excluded);
+          if (captured.tabs.length === 0) return;
+
+          const windowIndex = windows.length;
+          windows.push(toSavedWindow(win));
+          captured.tabs.forEach(tab => tabs.push({ ...tab, windowIndex }));
+        });
+
+      return { tabs, windows, excluded };
+    } catch (error) {
+      console.error('[TabService] Failed to get all windows tabs:', error);
+      return { tabs: [], windows: [], excluded: [] };
+    }
+  }
+
   /**
    * Get all tabs across all windows
    * @returns {Promise<Array>} Array of tab objects
@@ -56,77 +418,314 @@ class TabService {
 
   /**
    * Open tabs from template
+   * Tabs with invalid URLs are skipped and tabs Chrome fails to create are
+   * reported, so one broken entry doesn't cost the rest of the launch.
    * @param {Array} tabs - Array of tab objects {url, title}
    * @param {string} openBehavior - 'new_window' | 'current_window' | 'replace_tabs'
    * @param {boolean} closeExisting - Close existing tabs when replacing
-   * @returns {Promise<Object>} Result object
+   * @param {Object} options - Template layout {groups, windows} and {lazyLoad, dedupe, focus, windowState,
+   *   windowId, onProgress}, windowId choosing the window current_window and replace_tabs use
+   * @returns {Promise<Object>} Result object with a launch report
    */
-  async openTabs(tabs, openBehavior = 'new_window', closeExisting = false) {
+  async openTabs(tabs, openBehavior = 'new_window', closeExisting = false, options = {}) {
     try {
       if (!tabs || tabs.length === 0) {
         throw new Error('No tabs to open');
       }
 
-      // Validate all URLs before opening
-      for (const tab of tabs) {
-        const validation = validateUrl(tab.url);
-        if (!validation.isValid) {
-          throw new Error(`Invalid URL: ${tab.url}`);
+      // Restricted tabs open where they can, and as a placeholder otherwise
+      const fileAccess = tabs.some(tab => tab.restricted) && await hasFileAccess();
+
+      // Validate all URLs before opening, remembering each tab's template index
+      const validTabs = [];
+      const validIndexes = [];
+      const skipped = [];
+      tabs.forEach((tab, index) => {
+        const validation = validateTabUrl(tab);
+        if (validation.isValid) {
+          validTabs.push({ ...tab, url: getLaunchUrl(tab, fileAccess) });
+          validIndexes.push(index);
+        } else {
+          skipped.push(createReportEntry(tab, index, 'skipped_invalid', validation.error));
         }
+      });
+
+      if (validTabs.length === 0) {
+        // Nothing to open, so leave the current tabs alone
+        return {
+          success: false,
+          openedTabs: 0,
+          tabIds: [],
+          createdWindow: false,
+          closedTabs: [],
+          strayTabs: [],
+          report: createLaunchReport(skipped)
+        };
       }
 
+      const groups = options.groups || [];
+      const windows = options.windows || [];
+      const focused = options.focus !== false;
+      const onOpened = trackProgress(validTabs.length, options.onProgress);
+
       let result = { success: true, openedTabs: 0 };
+      let reusedIds = validTabs.map(() => null);
+      let strayTabs = [];
+      let launchIds;
+      let errors;
 
-      switch (openBehavior) {
-        case 'new_window':
-          result = await this.openInNewWindow(tabs);
-          break;
-        
-        case 'current_window':
-          result = await this.openInCurrentWindow(tabs);
-          break;
-        
-        case 'replace_tabs':
-          result = await this.replaceTabs(tabs, closeExisting);
-          break;
-        
-        default:
-          throw new Error('Invalid open behavior');
+      // Workspaces spanning several windows always get new windows
+      if (windows.length > 1) {
+        result = await this.openInWindows(validTabs, windows, groups, onOpened, focused, options.lazyLoad);
+        launchIds = result.tabIds;
+        errors = result.errors;
+      } else {
+        // Tabs that are already open are reused rather than opened again
+        if (options.dedupe && options.dedupe !== 'off') {
+          reusedIds = await this.findOpenTabs(validTabs, options.dedupe);
+          const reused = reusedIds.filter(Boolean).length;
+          if (reused > 0) onOpened(reused);
+        }
+        const newTabs = validTabs.filter((tab, i) => !reusedIds[i]);
+        // Replacing still swaps out the window's other tabs when nothing is new
+        const focusOnly = newTabs.length === 0 && openBehavior !== 'replace_tabs';
+
+        if (focusOnly) {
+          // Everything is open already, so just bring it to the front
+          result = await this.focusTabs(validTabs, reusedIds, focused);
+        } else {
+          switch (openBehavior) {
+            case 'new_window': {
+              // A window state chosen for the launch wins over the saved one
+              const savedWindow = options.windowState
+                ? { ...windows[0], state: options.windowState }
+                : windows[0];
+              result = await this.openInNewWindow(newTabs, savedWindow, onOpened, focused, options.lazyLoad);
+              break;
+            }
+            
+            case 'current_window':
+              result = await this.openInCurrentWindow(newTabs, onOpened, options.windowId, options.lazyLoad);
+              break;
+            
+            case 'replace_tabs':
+              result = await this.replaceTabs(
+                newTabs, closeExisting, onOpened, reusedIds.filter(Boolean), options.windowId, options.lazyLoad
+              );
+              break;
+            
+            default:
+              throw new Error('Invalid open behavior');
+          }
+        }
+
+        // Line the opened tabs up with the reused ones, in template order
+        launchIds = [];
+        errors = [];
+        let next = 0;
+        validTabs.forEach((tab, i) => {
+          if (reusedIds[i]) {
+            launchIds.push(reusedIds[i]);
+            errors.push(null);
+          } else {
+            launchIds.push(result.tabIds[next]);
+            errors.push(result.errors[next]);
+            next++;
+          }
+        });
+
+        if (!focusOnly) {
+          // Reused tabs in other windows are left for gatherTabs, once the launch is recorded
+          if (newTabs.length < validTabs.length) {
+            const openTabs = await chrome.tabs.query({});
+            const windowIds = new Map(openTabs.map(tab => [tab.id, tab.windowId]));
+            strayTabs = reusedIds
+              .map((tabId, i) => ({ tabId, index: validIndexes[i] }))
+              .filter(({ tabId }) => tabId && windowIds.get(tabId) !== result.windowId);
+          }
+          const strayIds = new Set(strayTabs.map(stray => stray.tabId));
+          const windowTabIds = launchIds.map(id => strayIds.has(id) ? null : id);
+
+          // Unfocused launches into the current window leave its active tab alone
+          await this.restoreTabState(validTabs, windowTabIds, focused || openBehavior === 'new_window');
+          await this.restoreGroups(validTabs, windowTabIds, groups, result.windowId);
+        }
+      }
+
+      // Reported with their template URLs rather than placeholder ones
+      const entries = validIndexes.map((index, i) => {
+        if (reusedIds[i]) return createReportEntry(tabs[index], index, 'reused');
+        return launchIds[i]
+          ? createReportEntry(tabs[index], index, 'opened')
+          : createReportEntry(tabs[index], index, 'failed', errors[i]);
+      });
+      const report = createLaunchReport([...skipped, ...entries]);
+
+      if (report.skipped > 0 || report.failed > 0) {
+        console.warn('[TabService] Launch incomplete:', report);
+      }
+
+      // Only tabs this launch created, reused tabs belong to earlier sessions
+      const tabIds = launchIds.filter((id, i) => id && !reusedIds[i]);
+      if (options.lazyLoad) {
+        // Background tabs were discarded as they opened; the tab each new
+        // window opened with was active until the saved active tab took over
+        await this.discardTabs(tabIds.filter(id => !this.discarding.has(id)));
       }
 
-      return result;
+      return {
+        success: report.opened + report.reused > 0,
+        openedTabs: report.opened,
+        windowId: result.windowId,
+        ...(result.windowIds && { windowIds: result.windowIds }),
+        tabIds,
+        // What the launch changed besides opening tabs, so it can be undone
+        createdWindow: windows.length > 1
+          ? result.windowIds.length > 0
+          : openBehavior === 'new_window' && tabIds.length > 0,
+        closedTabs: result.closedTabs || [],
+        // Reused tabs {tabId, index} still in other windows, see gatherTabs
+        strayTabs,
+        report
+      };
     } catch (error) {
       console.error('[TabService] Failed to open tabs:', error);
       throw error;
     }
   }
 
+  /**
+   * Pull reused tabs from other windows into a launch's window
+   * Each tab is moved on its own, so one that can't be moved stays where it
+   * is without holding up the rest. A window's last tab is left alone, since
+   * moving it would close that window.
+   * @param {Array} strayTabs - Reused tabs {tabId, index} from openTabs
+   * @param {number} windowId - Launch window ID
+   * @returns {Promise<Array>} Tabs left behind {tabId, index, reason}
+   */
+  async gatherTabs(strayTabs, windowId) {
+    const openTabs = await chrome.tabs.query({});
+    const leftBehind = [];
+
+    for (const stray of strayTabs) {
+      const tab = openTabs.find(t => t.id === stray.tabId);
+      let reason = null;
+
+      if (!tab) {
+        reason = 'Tab was closed before it could be moved';
+      } else if (!openTabs.some(t => t.windowId === tab.windowId && t.id !== tab.id)) {
+        reason = 'Left in place as the last tab of its window';
+      } else {
+        try {
+          await chrome.tabs.move(tab.id, { windowId, index: -1 });
+          tab.windowId = windowId;
+        } catch (error) {
+          reason = error.message;
+        }
+      }
+
+      if (reason) {
+        console.warn('[TabService] Reused tab not moved:', stray.tabId, reason);
+        leftBehind.push({ ...stray, reason });
+      }
+    }
+
+    return leftBehind;
+  }
+
+  /**
+   * Open each saved window of a template in its own new window
+   * A window that fails to open only fails its own tabs. Tabs pointing past
+   * the saved windows, e.g. after a hand-edited import, join the last one.
+   * @param {Array} tabs - Array of tab objects with windowIndex
+   * @param {Array} windows - Saved windows {state, left, top, width, height}
+   * @param {Array} groups - Template tab groups to recreate
+   * @param {Function} onOpened - Called with the number of newly opened tabs (optional)
+   * @param {boolean} focused - Bring the first window to the front
+   * @param {boolean} lazyLoad - Discard background tabs as they open
+   * @returns {Promise<Object>} Result object, tabIds and errors in the order of tabs
+   */
+  async openInWindows(tabs, windows, groups = [], onOpened, focused = true, lazyLoad = false) {
+    try {
+      const windowIds = [];
+      const tabIds = new Array(tabs.length).fill(null);
+      const errors = new Array(tabs.length).fill(null);
+
+      const lastWindow = windows.length - 1;
+
+      for (let i = 0; i < windows.length; i++) {
+        const indexes = tabs
+          .map((tab, index) => index)
+          .filter(index => Math.min(tabs[index].windowIndex || 0, lastWindow) === i);
+        if (indexes.length === 0) continue;
+
+        const windowTabs = indexes.map(index => tabs[index]);
+
+        try {
+          const result = await this.openInNewWindow(windowTabs, windows[i], onOpened, false, lazyLoad);
+          await this.restoreTabState(windowTabs, result.tabIds);
+          await this.restoreGroups(windowTabs, result.tabIds, groups, result.windowId);
+
+          windowIds.push(result.windowId);
+          indexes.forEach((index, j) => {
+            tabIds[index] = result.tabIds[j];
+            errors[index] = result.errors[j];
+          });
+        } catch (error) {
+          console.warn('[TabService] Failed to open window:', i, error);
+          indexes.forEach(index => {
+            errors[index] = error.message;
+          });
+        }
+      }
+
+      // Bring the first window to the front
+      if (focused && windowIds.length > 0 && windows[0].state !== 'minimized') {
+        await chrome.windows.update(windowIds[0], { focused: true });
+      }
+
+      return {
+        success: true,
+        openedTabs: tabIds.filter(Boolean).length,
+        windowId: windowIds[0],
+        windowIds,
+        tabIds,
+        errors
+      };
+    } catch (error) {
+      console.error('[TabService] Failed to open in windows:', error);
+      throw error;
+    }
+  }
+
   /**
    * Open tabs in a new window
    * @param {Array} tabs - Array of tab objects
+   * @param {Object} savedWindow - Saved window geometry (optional)
+   * @param {Function} onOpened - Called with the number of newly opened tabs (optional)
+   * @param {boolean} focused - Bring the new window to the front
+   * @param {boolean} lazyLoad - Discard background tabs as they open
    * @returns {Promise<Object>} Result object
    */
-  async openInNewWindow(tabs) {
+  async openInNewWindow(tabs, savedWindow = {}, onOpened, focused = true, lazyLoad = false) {
     try {
       // Create new window with first tab
       const newWindow = await chrome.windows.create({
         url: tabs[0].url,
-        focused: true
+        focused: focused && savedWindow.state !== 'minimized',
+        ...getWindowGeometry(savedWindow)
       });
+      if (onOpened) onOpened(1);
 
       // Open remaining tabs in the new window
-      for (let i = 1; i < tabs.length; i++) {
-        await chrome.tabs.create({
-          windowId: newWindow.id,
-          url: tabs[i].url,
-          active: false
-        });
-      }
+      const created = await this.createTabs(newWindow.id, tabs.slice(1), onOpened, lazyLoad);
 
       return {
         success: true,
-        openedTabs: tabs.length,
-        windowId: newWindow.id
+        openedTabs: 1 + created.tabIds.filter(Boolean).length,
+        windowId: newWindow.id,
+        tabIds: [newWindow.tabs[0].id, ...created.tabIds],
+        errors: [null, ...created.errors]
       };
     } catch (error) {
       console.error('[TabService] Failed to open in new window:', error);
@@ -137,25 +736,21 @@ class TabService {
   /**
    * Open tabs in current window
    * @param {Array} tabs - Array of tab objects
+   * @param {Function} onOpened - Called with the number of newly opened tabs (optional)
+   * @param {number} windowId - Window to open the tabs in, defaults to the current window
+   * @param {boolean} lazyLoad - Discard background tabs as they open
    * @returns {Promise<Object>} Result object
    */
-  async openInCurrentWindow(tabs) {
+  async openInCurrentWindow(tabs, onOpened, windowId, lazyLoad = false) {
     try {
-      const currentWindow = await chrome.windows.getCurrent();
-
-      // Open all tabs in current window
-      for (const tab of tabs) {
-        await chrome.tabs.create({
-          windowId: currentWindow.id,
-          url: tab.url,
-          active: false
-        });
-      }
+      const targetWindowId = await getTargetWindowId(windowId);
+      const created = await this.createTabs(targetWindowId, tabs, onOpened, lazyLoad);
 
       return {
         success: true,
-        openedTabs: tabs.length,
-        windowId: currentWindow.id
+        openedTabs: created.tabIds.filter(Boolean).length,
+        windowId: targetWindowId,
+        ...created
       };
     } catch (error) {
       console.error('[TabService] Failed to open in current window:', error);
@@ -165,40 +760,48 @@ class TabService {
 
   /**
    * Replace current tabs with template tabs
+   * The template tabs are opened before the old ones are closed, so
+   * replacing every tab doesn't close the window.
    * @param {Array} tabs - Array of tab objects
    * @param {boolean} closeExisting - Close existing tabs
-   * @returns {Promise<Object>} Result object
+   * @param {Function} onOpened - Called with the number of newly opened tabs (optional)
+   * @param {Array<number>} keepTabIds - IDs of tabs to keep open, e.g. reused tabs (optional)
+   * @param {number} windowId - Window whose tabs are replaced, defaults to the current window
+   * @param {boolean} lazyLoad - Discard background tabs as they open
+   * @returns {Promise<Object>} Result object, with the closed tabs {url, title, index, windowId}
    */
-  async replaceTabs(tabs, closeExisting = false) {
+  async replaceTabs(tabs, closeExisting = false, onOpened, keepTabIds = [], windowId, lazyLoad = false) {
     try {
-      const currentWindow = await chrome.windows.getCurrent();
+      const targetWindowId = await getTargetWindowId(windowId);
+      let tabsToClose = [];
       
       if (closeExisting) {
-        // Get current tabs in window
-        const currentTabs = await chrome.tabs.query({ 
-          windowId: currentWindow.id 
-        });
-
         // Close all current tabs except pinned ones
-        const tabsToClose = currentTabs.filter(tab => !tab.pinned);
-        for (const tab of tabsToClose) {
-          await chrome.tabs.remove(tab.id);
-        }
+        const currentTabs = await chrome.tabs.query({ windowId: targetWindowId });
+        tabsToClose = currentTabs.filter(tab => !tab.pinned && !keepTabIds.includes(tab.id));
       }
 
       // Open new tabs
-      for (const tab of tabs) {
-        await chrome.tabs.create({
-          windowId: currentWindow.id,
-          url: tab.url,
-          active: false
-        });
+      const created = await this.createTabs(targetWindowId, tabs, onOpened, lazyLoad);
+
+      // Keep the old tabs if none of the template's tabs are open
+      if (tabsToClose.length > 0 && (created.tabIds.some(Boolean) || keepTabIds.length > 0)) {
+        await chrome.tabs.remove(tabsToClose.map(tab => tab.id));
+      } else {
+        tabsToClose = [];
       }
 
       return {
         success: true,
-        openedTabs: tabs.length,
-        windowId: currentWindow.id
+        openedTabs: created.tabIds.filter(Boolean).length,
+        windowId: targetWindowId,
+        ...created,
+        closedTabs: tabsToClose.map(tab => ({
+          url: tab.url,
+          title: tab.title,
+          index: tab.index,
+          windowId: tab.windowId
+        }))
       };
     } catch (error) {
       console.error('[TabService] Failed to replace tabs:', error);
@@ -206,6 +809,111 @@ class TabService {
     }
   }
 
+  /**
+   * Find open tabs matching template tabs
+   * Each open tab is matched at most once, so duplicate template tabs only
+   * reuse as many open copies as there are.
+   * @param {Array} tabs - Template tabs
+   * @param {string} mode - URL matching: 'exact' | 'ignore_query' | 'origin_path'
+   * @returns {Promise<Array<number|null>>} Matching tab ID or null, in the order of tabs
+   */
+  async findOpenTabs(tabs, mode) {
+    const openTabs = await chrome.tabs.query({ windowType: 'normal' });
+    const available = new Map();
+
+    openTabs.filter(tab => !tab.incognito).forEach(tab => {
+      const key = getUrlMatchKey(tab.pendingUrl || tab.url, mode);
+      available.set(key, [...(available.get(key) || []), tab.id]);
+    });
+
+    return tabs.map(tab => {
+      const tabIds = available.get(getUrlMatchKey(tab.url, mode));
+      return tabIds && tabIds.length > 0 ? tabIds.shift() : null;
+    });
+  }
+
+  /**
+   * Bring already open template tabs to the front
+   * @param {Array} tabs - Template tabs
+   * @param {Array<number>} tabIds - IDs of the open tabs, in the order of tabs
+   * @param {boolean} focused - Bring the tab's window to the front as well
+   * @returns {Promise<Object>} Result object
+   */
+  async focusTabs(tabs, tabIds, focused = true) {
+    try {
+      const activeIndex = Math.max(0, tabs.findIndex(tab => tab.active));
+      const tab = focused
+        ? await chrome.tabs.update(tabIds[activeIndex], { active: true })
+        : await chrome.tabs.get(tabIds[activeIndex]);
+      if (focused) {
+        await chrome.windows.update(tab.windowId, { focused: true });
+      }
+
+      return {
+        success: true,
+        openedTabs: 0,
+        windowId: tab.windowId,
+        tabIds: [],
+        errors: []
+      };
+    } catch (error) {
+      console.error('[TabService] Failed to focus tabs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create background tabs at the end of a window
+   * Tabs are created in concurrent batches, then moved into their saved order
+   * since concurrent creates may land in any order. Lazy tabs are discarded
+   * one by one as they open, without holding up the rest of the launch.
+   * @param {number} windowId - Window ID
+   * @param {Array} tabs - Array of tab objects
+   * @param {Function} onOpened - Called with the number of newly opened tabs (optional)
+   * @param {boolean} lazyLoad - Discard the tabs as soon as they can be
+   * @returns {Promise<Object>} {tabIds, errors} in the order of tabs, with a null
+   *   tab ID and an error message for each tab that failed to open
+   */
+  async createTabs(windowId, tabs, onOpened, lazyLoad = false) {
+    const tabIds = [];
+    const errors = [];
+
+    for (let i = 0; i < tabs.length; i += LAUNCH.BATCH_SIZE) {
+      const batch = tabs.slice(i, i + LAUNCH.BATCH_SIZE);
+      const results = await Promise.allSettled(batch.map(async (tab) => {
+        const created = await chrome.tabs.create({
+          windowId,
+          url: tab.url,
+          active: false
+        });
+        // The saved active tab is focused once the launch is done
+        if (lazyLoad && !tab.active) this.discardTab(created.id);
+        return created;
+      }));
+
+      results.forEach((result, j) => {
+        if (result.status === 'fulfilled') {
+          tabIds.push(result.value.id);
+          errors.push(null);
+        } else {
+          console.warn('[TabService] Failed to create tab:', batch[j].url, result.reason);
+          tabIds.push(null);
+          errors.push(result.reason?.message || String(result.reason));
+        }
+      });
+
+      const opened = results.filter(result => result.status === 'fulfilled').length;
+      if (onOpened && opened > 0) onOpened(opened);
+    }
+
+    const openedIds = tabIds.filter(Boolean);
+    if (openedIds.length > 1) {
+      await chrome.tabs.move(openedIds, { index: -1 });
+    }
+
+    return { tabIds, errors };
+  }
+
   /**
    * Close tabs by IDs
    * @param {Array<number>} tabIds - Array of tab IDs
@@ -284,7 +992,7 @@ class TabService {
   /**
    * Group tabs (Chrome 88+)
    * @param {Array<number>} tabIds - Tab IDs to group
-   * @param {Object} options - Group options {title, color}
+   * @param {Object} options - Group options {title, color, collapsed, windowId}
    * @returns {Promise<number>} Group ID
    */
   async groupTabs(tabIds, options = {}) {
@@ -294,10 +1002,14 @@ class TabService {
         return null;
       }
 
-      const groupId = await chrome.tabs.group({ tabIds });
+      const { windowId, ...properties } = options;
+      const groupId = await chrome.tabs.group({
+        tabIds,
+        ...(windowId && { createProperties: { windowId } })
+      });
       
-      if (options.title || options.color) {
-        await chrome.tabGroups.update(groupId, options);
+      if (Object.keys(properties).length > 0) {
+        await chrome.tabGroups.update(groupId, properties);
       }
 
       return groupId;
@@ -307,6 +1019,133 @@ class TabService {
     }
   }
 
+  /**
+   * Restore pinned and muted state of opened tabs and focus the saved active tabs
+   * @param {Array} tabs - Template tabs, in the order they were opened
+   * @param {Array<number>} tabIds - IDs of the opened tabs, null where a tab failed to open
+   * @param {boolean} activate - Focus the saved active tabs
+   */
+  async restoreTabState(tabs, tabIds, activate = true) {
+    for (let i = 0; i < tabs.length; i++) {
+      const properties = {};
+      if (tabs[i].pinned) properties.pinned = true;
+      if (tabs[i].muted) properties.muted = true;
+      
+      if (!tabIds[i] || Object.keys(properties).length === 0) continue;
+
+      try {
+        await chrome.tabs.update(tabIds[i], properties);
+      } catch (error) {
+        console.warn('[TabService] Failed to restore tab state:', tabs[i].url, error);
+      }
+    }
+
+    if (!activate) return;
+
+    // One active tab per saved window
+    for (let i = 0; i < tabs.length; i++) {
+      if (!tabs[i].active || !tabIds[i]) continue;
+
+      try {
+        await chrome.tabs.update(tabIds[i], { active: true });
+      } catch (error) {
+        console.warn('[TabService] Failed to focus active tab:', error);
+      }
+    }
+  }
+
+  /**
+   * Discard opened background tabs so they only load when clicked
+   * @param {Array<number>} tabIds - IDs of the opened tabs
+   */
+  async discardTabs(tabIds) {
+    await Promise.all(tabIds.map(tabId => this.discardTab(tabId)));
+  }
+
+  /**
+   * Discard an opened background tab as soon as its URL is known
+   * Chrome loses the URL of a tab discarded before its navigation commits.
+   * Tabs that became active in the meantime are left to load.
+   * @param {number} tabId - Tab ID
+   */
+  async discardTab(tabId) {
+    this.discarding.add(tabId);
+    try {
+      const tab = await this.waitForCommit(tabId);
+      if (!tab.active && !tab.discarded) {
+        await chrome.tabs.discard(tabId);
+      }
+    } catch (error) {
+      console.warn('[TabService] Failed to discard tab:', tabId, error);
+    } finally {
+      this.discarding.delete(tabId);
+    }
+  }
+
+  /**
+   * Wait until a tab's navigation has committed to its URL
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object>} Tab
+   */
+  waitForCommit(tabId) {
+    return new Promise((resolve, reject) => {
+      const isCommitted = (tab) => tab.url && !tab.pendingUrl;
+
+      const finish = (tab) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(tab);
+      };
+
+      const listener = (id, changeInfo, tab) => {
+        if (id === tabId && isCommitted(tab)) finish(tab);
+      };
+
+      // Give up waiting and take the tab as it is
+      const timer = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        chrome.tabs.get(tabId).then(resolve, reject);
+      }, LAUNCH.COMMIT_TIMEOUT_MS);
+
+      chrome.tabs.onUpdated.addListener(listener);
+
+      // The navigation may have committed before we started listening
+      chrome.tabs.get(tabId).then(tab => {
+        if (isCommitted(tab)) finish(tab);
+      }, error => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Recreate template tab groups around freshly opened tabs
+   * A failed group only costs the grouping, the tabs stay open.
+   * @param {Array} tabs - Template tabs, in the order they were opened
+   * @param {Array<number>} tabIds - IDs of the opened tabs, null where a tab failed to open
+   * @param {Array} groups - Template tab groups
+   * @param {number} windowId - Window the tabs were opened in
+   */
+  async restoreGroups(tabs, tabIds, groups, windowId) {
+    for (const group of groups) {
+      const groupTabIds = tabIds.filter((id, index) => id && tabs[index].groupId === group.id);
+      if (groupTabIds.length === 0) continue;
+
+      try {
+        await this.groupTabs(groupTabIds, {
+          windowId,
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed
+        });
+      } catch (error) {
+        console.warn('[TabService] Failed to restore tab group:', group.title, error);
+      }
+    }
+  }
+
   /**
    * Get tab count in current window
    * @returns {Promise<number>} Tab count
@@ -322,22 +1161,14 @@ class TabService {
   }
 
   /**
-   * Check if URL is valid for Chrome extension
+   * Check if URL can be kept in a template
+   * Web pages and restricted pages can, empty pages and data:, blob: or
+   * javascript: URLs can't.
    * @param {string} url - URL to check
    * @returns {boolean} True if valid
    */
   isValidUrl(url) {
-    // Chrome extensions cannot open certain URLs
-    const invalidProtocols = ['chrome:', 'chrome-extension:', 'about:', 'file:'];
-    
-    try {
-      const urlObj = new URL(url);
-      return !invalidProtocols.some(protocol => 
-        urlObj.protocol.startsWith(protocol)
-      );
-    } catch {
-      return false;
-    }
+    return validateUrl(url).isValid || isRestrictedUrl(url);
   }
 
   /**
@@ -348,6 +1179,51 @@ class TabService {
   filterValidTabs(tabs) {
     return tabs.filter(tab => this.isValidUrl(tab.url));
   }
+
+  /**
+   * Leave out captured tabs matching the user's exclusion rules
+   * @param {Array} tabs - Captured tabs
+   * @param {Object} exclusions - {rules, include}: exclusion rules {type, value}, and
+   *   URLs to keep for this capture even though a rule matches them
+   * @returns {Object} {tabs, excluded}, excluded entries being {tab, rule}
+   */
+  applyExclusions(tabs, { rules = [], include = [] } = {}) {
+    const kept = [];
+    const excluded = [];
+
+    tabs.forEach(tab => {
+      const rule = include.includes(tab.url) ? null : findExclusionRule(tab.url, rules);
+      if (rule) {
+        excluded.push({ tab, rule });
+      } else {
+        kept.push(tab);
+      }
+    });
+
+    return { tabs: kept, excluded };
+  }
+
+  /**
+   * List captured tabs a template can't restore as they are
+   * @param {Array} tabs - Captured tabs, before filterValidTabs
+   * @returns {Promise<Array>} Warnings {url, title, reason}, in the order of tabs
+   */
+  async getCaptureWarnings(tabs) {
+    const fileAccess = tabs.some(tab => tab.restricted) && await hasFileAccess();
+
+    return tabs.map(tab => {
+      let reason = null;
+      if (!this.isValidUrl(tab.url)) {
+        // Empty pages are left out without a word
+        if (!RESTRICTED.IGNORED_URLS.includes(tab.url)) reason = 'Not saved: this kind of page can\'t be reopened';
+      } else if (tab.restricted && getLaunchUrl(tab, fileAccess) !== tab.url) {
+        reason = tab.url.startsWith('file:')
+          ? 'Opens as a placeholder until file access is allowed for QuickSessions'
+          : 'Opens as a placeholder with a button to copy its URL';
+      }
+      return reason && { url: tab.url, title: tab.title || tab.url, reason };
+    }).filter(Boolean);
+  }
 }
 
 // Export singleton instance
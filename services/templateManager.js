@@ -5,22 +5,142 @@
 
 import { storageService } from './storageService.js';
 import { tabService } from './tabService.js';
-import { generateUUID } from '../utils/helpers.js';
-import { TEMPLATE, MESSAGES } from '../utils/constants.js';
+import { trashService } from './trashService.js';
+import { historyService } from './historyService.js';
+import { backupService } from './backupService.js';
+import { sessionService } from './sessionService.js';
+import { autoSessionService } from './autoSessionService.js';
+import { generateUUID, getUrlMatchKey, getFolderPaths, isInFolder } from '../utils/helpers.js';
+import { TEMPLATE, MESSAGES, TAB_GROUPS, CAPTURE } from '../utils/constants.js';
 import { 
   validateTemplateName, 
   validateTab,
-  sanitizeTemplateName 
+  validateLaunchOptions,
+  isRestrictedUrl,
+  validateFolderPath,
+  sanitizeTemplateName,
+  sanitizeFolderPath
 } from '../utils/validator.js';
 
+/**
+ * Drop tab groups that no longer contain any tab
+ * @param {Object} template - Template object
+ * @returns {Object} Same template
+ */
+function removeEmptyGroups(template) {
+  if (template.groups) {
+    const usedIds = new Set(template.tabs.map(tab => tab.groupId));
+    template.groups = template.groups.filter(group => usedIds.has(group.id));
+  }
+  return template;
+}
+
+/**
+ * Give captured tab groups the IDs of matching template groups
+ * Groups are matched by title and color, so an unchanged group keeps its ID
+ * and live updates don't show up as group changes.
+ * @param {Array} groups - Template tab groups
+ * @param {Object} captured - Captured {tabs, groups}
+ * @returns {Object} Captured {tabs, groups} using matched IDs
+ */
+function keepGroupIds(groups, captured) {
+  const available = [...groups];
+  const ids = new Map();
+
+  const matched = captured.groups.map(group => {
+    const index = available.findIndex(g => g.title === group.title && g.color === group.color);
+    if (index === -1) return group;
+
+    const [existing] = available.splice(index, 1);
+    ids.set(group.id, existing.id);
+    return { ...group, id: existing.id };
+  });
+
+  return {
+    tabs: captured.tabs.map(tab => 
+      ids.has(tab.groupId) ? { ...tab, groupId: ids.get(tab.groupId) } : tab
+    ),
+    groups: matched
+  };
+}
+
+/**
+ * Serialize the tabs and groups compared by live updates
+ * Only what a launch restores counts: titles, favicons and the active tab
+ * change all the time while browsing, and saving each of those would soon
+ * run into the sync storage write limits.
+ * @param {Object} template - Template or captured {tabs, groups}
+ * @returns {string} Comparable content
+ */
+function getLiveContent(template) {
+  const groups = template.groups || [];
+  const groupIndexes = new Map(groups.map((group, index) => [group.id, index]));
+
+  return JSON.stringify({
+    tabs: template.tabs.map(tab => [
+      tab.url,
+      Boolean(tab.pinned),
+      Boolean(tab.muted),
+      groupIndexes.has(tab.groupId) ? groupIndexes.get(tab.groupId) : -1
+    ]),
+    groups: groups.map(group => [group.title, group.color, group.collapsed])
+  });
+}
+
+/**
+ * Find the open tabs that belong to a template's launches
+ * A tab is tracked if a recorded launch opened it or it is in a window
+ * linked to the live template. Other tabs belong to the template if their
+ * URL matches one of its tabs.
+ * @param {Object} template - Template object
+ * @param {Array} openTabs - All open Chrome tabs
+ * @param {Object} tracking - Recorded {sessions, links} and the URL match mode
+ * @returns {Object} Chrome tabs {tracked, matched, all}, in window and tab order
+ */
+function findSessionTabs(template, openTabs, { sessions, links, mode }) {
+  const tabIds = new Set(sessions
+    .filter(session => session.templateId === template.id)
+    .flatMap(session => session.tabIds));
+  const windowIds = new Set(Object.keys(links)
+    .filter(windowId => links[windowId] === template.id)
+    .map(Number));
+  const urlKeys = new Set(template.tabs.map(tab => getUrlMatchKey(tab.url, mode)));
+
+  const tracked = [];
+  const matched = [];
+  const all = openTabs
+    .filter(tab => !tab.incognito)
+    .sort((a, b) => a.windowId - b.windowId || a.index - b.index)
+    .filter(tab => {
+      if (tabIds.has(tab.id) || windowIds.has(tab.windowId)) {
+        tracked.push(tab);
+      } else if (urlKeys.has(getUrlMatchKey(tab.pendingUrl || tab.url, mode))) {
+        matched.push(tab);
+      } else {
+        return false;
+      }
+      return true;
+    });
+
+  return { tracked, matched, all };
+}
+
 class TemplateManager {
   /**
    * Create a new template from current tabs
    * @param {string} name - Template name
    * @param {string} description - Template description (optional)
+   * @param {string} scope - Which tabs to save: 'window' | 'highlighted' | 'group' |
+   *   'right' | 'left' | 'all_windows' (optional)
+   * @param {Object} scopeOptions - {groupId} for the 'group' scope, and {include} URLs
+   *   to save despite the exclusion rules (optional)
    * @returns {Promise<Object>} Created template
    */
-  async createFromCurrentTabs(name, description = '') {
+  async createFromCurrentTabs(name, description = '', scope = CAPTURE.DEFAULT_SCOPE, scopeOptions = {}) {
+    if (scope === 'all_windows') {
+      return await this.createFromAllWindows(name, description, scopeOptions.include);
+    }
+
     try {
       // Validate name
       const nameValidation = validateTemplateName(name);
@@ -28,8 +148,8 @@ class TemplateManager {
         throw new Error(nameValidation.error);
       }
 
-      // Get current tabs
-      const tabs = await tabService.getCurrentWindowTabs();
+      // Get current tabs within the scope
+      const tabs = await tabService.getScopeTabs(scope, scopeOptions);
       
       if (tabs.length === 0) {
         throw new Error(MESSAGES.ERROR_NO_TABS);
@@ -42,6 +162,20 @@ class TemplateManager {
         throw new Error('No valid tabs to save');
       }
 
+      // Leave out tabs matching the user's exclusion rules
+      const settings = await storageService.getSettings();
+      const { tabs: keptTabs } = tabService.applyExclusions(validTabs, {
+        rules: settings.exclusionRules,
+        include: scopeOptions.include
+      });
+
+      if (keptTabs.length === 0) {
+        throw new Error(MESSAGES.ERROR_ALL_EXCLUDED);
+      }
+
+      // Keep the window's tab groups
+      const { tabs: groupedTabs, groups } = await tabService.captureGroups(keptTabs);
+
       // Create template object
       const template = {
         id: generateUUID(),
@@ -49,10 +183,12 @@ class TemplateManager {
         description: description,
         color: TEMPLATE.DEFAULT_COLOR,
         icon: TEMPLATE.DEFAULT_ICON,
-        tabs: validTabs,
+        tabs: groupedTabs,
+        groups,
         createdAt: new Date().toISOString(),
         lastUsedAt: null,
-        usageCount: 0
+        usageCount: 0,
+        syncEnabled: true
       };
 
       // Save to storage
@@ -65,6 +201,61 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Create a new template from the tabs of every open window
+   * @param {string} name - Template name
+   * @param {string} description - Template description (optional)
+   * @param {Array<string>} include - URLs to save despite the exclusion rules (optional)
+   * @returns {Promise<Object>} Created template
+   */
+  async createFromAllWindows(name, description = '', include = []) {
+    try {
+      // Validate name
+      const nameValidation = validateTemplateName(name);
+      if (!nameValidation.isValid) {
+        throw new Error(nameValidation.error);
+      }
+
+      // Get tabs of all windows, invalid and excluded ones already filtered out
+      const settings = await storageService.getSettings();
+      const { tabs, windows, excluded } = await tabService.getAllWindowsTabs(false, {
+        rules: settings.exclusionRules,
+        include
+      });
+      
+      if (tabs.length === 0) {
+        throw new Error(excluded.length > 0 ? MESSAGES.ERROR_ALL_EXCLUDED : 'No valid tabs to save');
+      }
+
+      // Keep the windows' tab groups
+      const { tabs: groupedTabs, groups } = await tabService.captureGroups(tabs);
+
+      // Create template object
+      const template = {
+        id: generateUUID(),
+        name: sanitizeTemplateName(name),
+        description: description,
+        color: TEMPLATE.DEFAULT_COLOR,
+        icon: TEMPLATE.DEFAULT_ICON,
+        tabs: groupedTabs,
+        groups,
+        windows,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        usageCount: 0,
+        syncEnabled: true
+      };
+
+      // Save to storage
+      await storageService.saveTemplate(template);
+
+      return template;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to create from all windows:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a new empty template
    * @param {string} name - Template name
@@ -87,9 +278,11 @@ class TemplateManager {
         color: TEMPLATE.DEFAULT_COLOR,
         icon: TEMPLATE.DEFAULT_ICON,
         tabs: [],
+        groups: [],
         createdAt: new Date().toISOString(),
         lastUsedAt: null,
-        usageCount: 0
+        usageCount: 0,
+        syncEnabled: true
       };
 
       // Save to storage
@@ -104,19 +297,26 @@ class TemplateManager {
 
   /**
    * Get all templates
-   * @param {Object} options - Query options {sortBy, sortOrder, search}
+   * @param {Object} options - Query options {sortBy, sortOrder, search, folder}, folder
+   *   limiting the result to a folder and its subfolders
    * @returns {Promise<Array>} Array of templates
    */
   async getTemplates(options = {}) {
     try {
       let templates = await storageService.getTemplates();
 
+      // Apply folder filter
+      if (options.folder) {
+        templates = templates.filter(t => isInFolder(t.folder, options.folder));
+      }
+
       // Apply search filter
       if (options.search) {
         const searchTerm = options.search.toLowerCase();
         templates = templates.filter(t => 
           t.name.toLowerCase().includes(searchTerm) ||
-          (t.description && t.description.toLowerCase().includes(searchTerm))
+          (t.description && t.description.toLowerCase().includes(searchTerm)) ||
+          (t.folder && t.folder.toLowerCase().includes(searchTerm))
         );
       }
 
@@ -132,6 +332,39 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Get all folders in use, including folders that only hold subfolders
+   * @returns {Promise<Array<string>>} Folder paths, parents before their subfolders
+   */
+  async getFolders() {
+    try {
+      const templates = await storageService.getTemplates();
+      const folders = new Set(templates.flatMap(t => getFolderPaths(t.folder)));
+      return [...folders].sort((a, b) => a.localeCompare(b));
+    } catch (error) {
+      console.error('[TemplateManager] Failed to get folders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Move a template into a folder
+   * Folders exist as long as a template is in them or one of their subfolders.
+   * @param {string} templateId - Template ID
+   * @param {string} folder - Folder path like 'Work/Clients', empty for no folder
+   * @returns {Promise<string>} Folder the template is now in, empty for none
+   */
+  async moveToFolder(templateId, folder) {
+    try {
+      const path = sanitizeFolderPath(folder || '');
+      await this.updateTemplate(templateId, { folder: path });
+      return path;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to move template:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get single template
    * @param {string} templateId - Template ID
@@ -163,6 +396,17 @@ class TemplateManager {
         updates.name = sanitizeTemplateName(updates.name);
       }
 
+      // Validate folder if provided, dropping it for templates outside folders
+      if (updates.folder !== undefined) {
+        const folderValidation = validateFolderPath(updates.folder);
+        if (!folderValidation.isValid) {
+          throw new Error(folderValidation.error);
+        }
+        if (updates.folder === '') {
+          updates.folder = undefined;
+        }
+      }
+
       // Validate tabs if provided
       if (updates.tabs) {
         for (const tab of updates.tabs) {
@@ -173,7 +417,24 @@ class TemplateManager {
         }
       }
 
+      // Validate launch options if provided, dropping them when all use settings
+      if (updates.launchOptions) {
+        const launchValidation = validateLaunchOptions(updates.launchOptions);
+        if (!launchValidation.isValid) {
+          throw new Error(launchValidation.error);
+        }
+        if (Object.keys(updates.launchOptions).length === 0) {
+          updates.launchOptions = undefined;
+        }
+      }
+
       await storageService.updateTemplate(templateId, updates);
+
+      // A template that is no longer live stops following its window
+      if (updates.live === false) {
+        await sessionService.unlinkTemplate(templateId);
+      }
+
       return true;
     } catch (error) {
       console.error('[TemplateManager] Failed to update template:', error);
@@ -189,6 +450,7 @@ class TemplateManager {
   async deleteTemplate(templateId) {
     try {
       await storageService.deleteTemplate(templateId);
+      await sessionService.unlinkTemplate(templateId);
       return true;
     } catch (error) {
       console.error('[TemplateManager] Failed to delete template:', error);
@@ -196,32 +458,174 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Get recently deleted templates, purging expired ones first
+   * @returns {Promise<Array>} Trash items {template, deletedAt}, newest first
+   */
+  async getTrash() {
+    try {
+      const settings = await storageService.getSettings();
+      await trashService.purgeExpired(settings.trashRetentionDays);
+      return await trashService.getItems();
+    } catch (error) {
+      console.error('[TemplateManager] Failed to get trash:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Restore template from trash
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Restored template
+   */
+  async restoreTemplate(templateId) {
+    try {
+      return await storageService.restoreFromTrash(templateId);
+    } catch (error) {
+      console.error('[TemplateManager] Failed to restore template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete template from trash
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async purgeTemplate(templateId) {
+    try {
+      await trashService.purge(templateId);
+      await historyService.remove([templateId]);
+      return true;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to purge template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete all templates in trash
+   * @returns {Promise<boolean>} Success status
+   */
+  async emptyTrash() {
+    try {
+      const items = await trashService.getItems();
+      await trashService.empty();
+      await historyService.remove(items.map(item => item.template.id));
+      return true;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to empty trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get revision history of a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array>} Revisions {revision, savedAt, template}, newest first
+   */
+  async getHistory(templateId) {
+    try {
+      return await historyService.getRevisions(templateId);
+    } catch (error) {
+      console.error('[TemplateManager] Failed to get history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Compare two revisions of a template
+   * @param {string} templateId - Template ID
+   * @param {number} fromRevision - Older revision number
+   * @param {number} toRevision - Newer revision number
+   * @returns {Promise<Object>} Diff {added, removed, unchanged, fields}
+   */
+  async compareRevisions(templateId, fromRevision, toRevision) {
+    try {
+      const [from, to] = await Promise.all([
+        historyService.getRevision(templateId, fromRevision),
+        historyService.getRevision(templateId, toRevision)
+      ]);
+
+      if (!from || !to) {
+        throw new Error('Revision not found');
+      }
+
+      return historyService.diff(from.template, to.template);
+    } catch (error) {
+      console.error('[TemplateManager] Failed to compare revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll a template back to a recorded revision
+   * The rollback is saved as a new revision, so it can be undone. Fields
+   * the revision doesn't have are dropped rather than kept from now.
+   * @param {string} templateId - Template ID
+   * @param {number} revision - Revision number to restore
+   * @returns {Promise<boolean>} Success status
+   */
+  async restoreRevision(templateId, revision) {
+    try {
+      const entry = await historyService.getRevision(templateId, revision);
+      if (!entry) {
+        throw new Error('Revision not found');
+      }
+
+      // Where the template is stored is a device choice and usage isn't
+      // content, so those stay as they are now
+      const { syncEnabled, ...content } = entry.template;
+      const restored = await storageService.mutateTemplate(templateId, current => ({
+        ...content,
+        id: current.id,
+        createdAt: current.createdAt,
+        usageCount: current.usageCount,
+        lastUsedAt: current.lastUsedAt,
+        ...(current.syncEnabled !== undefined && { syncEnabled: current.syncEnabled }),
+        ...(current.storageArea && { storageArea: current.storageArea })
+      }));
+
+      // A window linked to the template would overwrite the restored tabs
+      if (!restored.live) {
+        await sessionService.unlinkTemplate(templateId);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to restore revision:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add tab to template
    * @param {string} templateId - Template ID
+   * Browser, file and extension pages are added as restricted tabs.
    * @param {Object} tab - Tab object {url, title, favicon}
    * @returns {Promise<boolean>} Success status
    */
   async addTab(templateId, tab) {
     try {
+      if (isRestrictedUrl(tab.url)) {
+        tab = { ...tab, restricted: true };
+      }
+
       // Validate tab
       const tabValidation = validateTab(tab);
       if (!tabValidation.isValid) {
         throw new Error(tabValidation.error);
       }
 
-      const template = await storageService.getTemplate(templateId);
-      if (!template) {
-        throw new Error('Template not found');
-      }
-
-      // Check tab limit
-      if (template.tabs.length >= TEMPLATE.MAX_TABS) {
-        throw new Error(`Maximum ${TEMPLATE.MAX_TABS} tabs per template`);
-      }
+      await storageService.mutateTemplate(templateId, template => {
+        // Check tab limit
+        if (template.tabs.length >= TEMPLATE.MAX_TABS) {
+          throw new Error(`Maximum ${TEMPLATE.MAX_TABS} tabs per template`);
+        }
 
-      template.tabs.push(tab);
-      await storageService.updateTemplate(templateId, { tabs: template.tabs });
+        template.tabs.push(tab);
+        return template;
+      });
       
       return true;
     } catch (error) {
@@ -238,17 +642,14 @@ class TemplateManager {
    */
   async removeTab(templateId, tabIndex) {
     try {
-      const template = await storageService.getTemplate(templateId);
-      if (!template) {
-        throw new Error('Template not found');
-      }
-
-      if (tabIndex < 0 || tabIndex >= template.tabs.length) {
-        throw new Error('Invalid tab index');
-      }
+      await storageService.mutateTemplate(templateId, template => {
+        if (tabIndex < 0 || tabIndex >= template.tabs.length) {
+          throw new Error('Invalid tab index');
+        }
 
-      template.tabs.splice(tabIndex, 1);
-      await storageService.updateTemplate(templateId, { tabs: template.tabs });
+        template.tabs.splice(tabIndex, 1);
+        return removeEmptyGroups(template);
+      });
       
       return true;
     } catch (error) {
@@ -257,11 +658,124 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Remove several tabs from template, e.g. the broken tabs of a launch report
+   * The template may have been edited since the tabs were looked up, so each
+   * tab is matched by URL, preferring its old index, and skipped if it's gone.
+   * @param {string} templateId - Template ID
+   * @param {Array<Object>} tabs - Tabs to remove {index, url}
+   * @returns {Promise<number>} Number of removed tabs
+   */
+  async removeTabs(templateId, tabs) {
+    try {
+      let removed = 0;
+
+      await storageService.mutateTemplate(templateId, template => {
+        const remove = new Set();
+        tabs.forEach(({ index, url }) => {
+          const matches = template.tabs
+            .map((tab, i) => i)
+            .filter(i => template.tabs[i].url === url && !remove.has(i))
+            .sort((a, b) => Math.abs(a - index) - Math.abs(b - index));
+          if (matches.length > 0) remove.add(matches[0]);
+        });
+
+        const kept = template.tabs.filter((tab, index) => !remove.has(index));
+        removed = template.tabs.length - kept.length;
+        template.tabs = kept;
+        return removeEmptyGroups(template);
+      });
+
+      return removed;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to remove tabs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a tab into a tab group, or out of any group
+   * @param {string} templateId - Template ID
+   * @param {number} tabIndex - Tab index
+   * @param {string|null} groupId - Template group ID, null to ungroup
+   * @returns {Promise<boolean>} Success status
+   */
+  async setTabGroup(templateId, tabIndex, groupId) {
+    try {
+      await storageService.mutateTemplate(templateId, template => {
+        const tab = template.tabs[tabIndex];
+        if (!tab) {
+          throw new Error('Invalid tab index');
+        }
+
+        if (groupId) {
+          if (!(template.groups || []).some(group => group.id === groupId)) {
+            throw new Error('Tab group not found');
+          }
+          tab.groupId = groupId;
+        } else {
+          delete tab.groupId;
+        }
+
+        return removeEmptyGroups(template);
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to set tab group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tab group from template tabs
+   * @param {string} templateId - Template ID
+   * @param {Array<number>} tabIndexes - Indexes of tabs to put in the group
+   * @param {Object} properties - Group properties {title, color}
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(templateId, tabIndexes, properties = {}) {
+    try {
+      let group = null;
+
+      await storageService.mutateTemplate(templateId, template => {
+        const groups = template.groups || [];
+        const usedColors = new Set(groups.map(g => g.color));
+
+        group = {
+          id: generateUUID(),
+          title: properties.title || '',
+          color: properties.color ||
+            TAB_GROUPS.COLORS.find(color => !usedColors.has(color)) ||
+            TAB_GROUPS.DEFAULT_COLOR,
+          collapsed: false
+        };
+
+        tabIndexes.forEach(index => {
+          if (!template.tabs[index]) {
+            throw new Error('Invalid tab index');
+          }
+          template.tabs[index].groupId = group.id;
+        });
+
+        template.groups = [...groups, group];
+        return removeEmptyGroups(template);
+      });
+
+      return group;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to create tab group:', error);
+      throw error;
+    }
+  }
+
   /**
    * Launch template (open all tabs)
    * @param {string} templateId - Template ID
-   * @param {Object} options - Open options from settings
-   * @returns {Promise<Object>} Result object
+   * @param {Object} options - Open options {openBehavior, closeExisting, lazyLoad, dedupe, focus, windowState},
+   *   defaulting to the template's launch options, then settings, and onProgress called with
+   *   {opened, total} while tabs are created
+   * @returns {Promise<Object>} Result object with a per-tab launch report
    */
   async launchTemplate(templateId, options = {}) {
     try {
@@ -274,24 +788,57 @@ class TemplateManager {
         throw new Error('Template has no tabs');
       }
 
-      // Get default options from settings if not provided
-      if (!options.openBehavior) {
-        const settings = await storageService.getSettings();
-        options = {
-          openBehavior: settings.openBehavior,
-          closeExisting: settings.closeExistingTabs
-        };
-      }
+      // Fill in options not chosen for this launch from the template's
+      // own launch options, then from settings
+      const settings = await storageService.getSettings();
+      options = {
+        openBehavior: settings.openBehavior,
+        closeExisting: settings.closeExistingTabs,
+        lazyLoad: settings.lazyLoad,
+        dedupe: settings.dedupe,
+        focus: true,
+        ...template.launchOptions,
+        ...options
+      };
 
       // Open tabs
       const result = await tabService.openTabs(
         template.tabs,
         options.openBehavior,
-        options.closeExisting
+        options.closeExisting,
+        {
+          groups: template.groups || [],
+          windows: template.windows || [],
+          lazyLoad: options.lazyLoad,
+          dedupe: options.dedupe,
+          focus: options.focus,
+          windowState: options.windowState,
+          windowId: options.windowId,
+          onProgress: options.onProgress
+        }
       );
 
-      // Update usage statistics
-      await storageService.updateTemplateUsage(templateId);
+      // Update usage statistics and remember the launch for undo
+      if (result.success) {
+        await storageService.updateTemplateUsage(templateId);
+      }
+      if (result.tabIds.length > 0 || result.closedTabs.length > 0) {
+        await sessionService.recordLaunch(template, result);
+      }
+
+      // Reused tabs from other windows join the launch once it can be undone
+      if (result.strayTabs.length > 0) {
+        const leftBehind = await tabService.gatherTabs(result.strayTabs, result.windowId);
+        leftBehind.forEach(({ index, reason }) => {
+          const entry = result.report.tabs.find(tab => tab.index === index);
+          if (entry) entry.reason = reason;
+        });
+      }
+
+      // Live templates follow the window they were launched into
+      if (template.live && result.createdWindow && (template.windows || []).length <= 1) {
+        await sessionService.linkWindow(result.windowId, templateId);
+      }
 
       return result;
     } catch (error) {
@@ -300,6 +847,377 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Switch a window over to another template
+   * The window's tabs are saved first, into the live template linked to it
+   * or else as a recently closed window, and then replaced by the target
+   * template's tabs. Pinned tabs stay. If none of the target template's
+   * tabs open, the window is left as it was.
+   * @param {string} templateId - Template to switch to
+   * @param {number} windowId - Window to switch
+   * @param {Object} options - Launch options, see launchTemplate (optional)
+   * @returns {Promise<Object>} Launch result, with savedTo {templateId} or {autoSessionId},
+   *   or null if there was nothing to save or nothing was switched
+   */
+  async switchToTemplate(templateId, windowId, options = {}) {
+    try {
+      const template = await storageService.getTemplate(templateId);
+      if (!template) {
+        throw new Error('Template not found');
+      }
+
+      if ((template.windows || []).length > 1) {
+        throw new Error('Templates with several windows open in new windows and can\'t be switched to');
+      }
+
+      const linkedId = await sessionService.getLinkedTemplate(windowId);
+      if (linkedId === templateId) {
+        throw new Error('This window already shows that template');
+      }
+
+      // Put the current tabs aside before they are closed
+      let savedTo = null;
+      if (linkedId && await storageService.getTemplate(linkedId)) {
+        await this.syncFromWindow(linkedId, windowId);
+        savedTo = { templateId: linkedId };
+      } else {
+        const autoSession = await autoSessionService.saveWindow(windowId, 'switched');
+        if (autoSession) savedTo = { autoSessionId: autoSession.id };
+      }
+      await sessionService.unlinkWindow(windowId);
+
+      let result = null;
+      try {
+        result = await this.launchTemplate(templateId, {
+          ...options,
+          openBehavior: 'replace_tabs',
+          closeExisting: true,
+          windowId
+        });
+      } finally {
+        // Nothing of the target template opened, so the window keeps its tabs as they were
+        if (!result?.success) {
+          if (savedTo?.templateId) {
+            await sessionService.linkWindow(windowId, savedTo.templateId);
+          } else if (savedTo?.autoSessionId) {
+            await autoSessionService.deleteAutoSession(savedTo.autoSessionId);
+          }
+          savedTo = null;
+        }
+      }
+
+      // The window now belongs to the target template
+      if (template.live && result.success) {
+        await sessionService.linkWindow(windowId, templateId);
+      }
+
+      return { ...result, savedTo };
+    } catch (error) {
+      console.error('[TemplateManager] Failed to switch template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get what is needed to tell which open tabs belong to which template
+   * @returns {Promise<Object>} {openTabs, tracking} for findSessionTabs
+   */
+  async getSessionTracking() {
+    const [openTabs, sessions, links, settings] = await Promise.all([
+      chrome.tabs.query({}),
+      sessionService.getSessions(),
+      sessionService.getLinks(),
+      storageService.getSettings()
+    ]);
+
+    // URLs match the way launches reuse tabs, or exactly when they don't
+    const mode = settings.dedupe !== 'off' ? settings.dedupe : 'exact';
+    return { openTabs, tracking: { sessions, links, mode } };
+  }
+
+  /**
+   * Count the open tabs of every template that has any
+   * @returns {Promise<Object>} Open tab count by template ID
+   */
+  async getOpenSessionCounts() {
+    try {
+      const [templates, { openTabs, tracking }] = await Promise.all([
+        storageService.getTemplates(),
+        this.getSessionTracking()
+      ]);
+
+      const counts = {};
+      templates.forEach(template => {
+        const count = findSessionTabs(template, openTabs, tracking).all.length;
+        if (count > 0) counts[template.id] = count;
+      });
+      return counts;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to count open sessions:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Find the template a tab was launched from
+   * Recorded launches and live links are checked, newest launch first.
+   * @param {Object} tab - Chrome tab
+   * @returns {Promise<string|null>} Template ID or null if the tab isn't tracked
+   */
+  async findTabTemplate(tab) {
+    const session = (await sessionService.getSessions())
+      .find(s => s.tabIds.includes(tab.id));
+    if (session) return session.templateId;
+
+    return await sessionService.getLinkedTemplate(tab.windowId);
+  }
+
+  /**
+   * Close the open tabs that belong to a template
+   * @param {string} templateId - Template ID
+   * @param {boolean} saveChanges - Save the tabs back to the template first,
+   *   defaults to the saveOnCloseSession setting
+   * @param {boolean} trackedOnly - Leave tabs that only match by URL open, since
+   *   they may have been opened by hand (optional)
+   * @returns {Promise<Object>} Result {closedTabs, saved}
+   */
+  async closeSession(templateId, saveChanges, trackedOnly = false) {
+    try {
+      const template = await storageService.getTemplate(templateId);
+      if (!template) {
+        throw new Error('Template not found');
+      }
+
+      const [settings, { openTabs, tracking }] = await Promise.all([
+        storageService.getSettings(),
+        this.getSessionTracking()
+      ]);
+      const { tracked, matched, all } = findSessionTabs(template, openTabs, tracking);
+      const tabs = trackedOnly ? tracked : all;
+      if (tabs.length === 0) {
+        throw new Error('No open tabs from this template');
+      }
+
+      // Tabs matched only by URL may be copies opened elsewhere, so they
+      // are saved only when no launch of the template is tracked
+      const saved = saveChanges ?? settings.saveOnCloseSession;
+      if (saved) {
+        await this.saveSessionTabs(template, tracked.length > 0 ? tracked : matched);
+      }
+
+      // The tabs are gone, so nothing is left to sync or undo
+      await sessionService.unlinkTemplate(templateId);
+      if (!await tabService.closeTabs(tabs.map(tab => tab.id))) {
+        throw new Error('Failed to close tabs');
+      }
+      await sessionService.removeTemplateSessions(templateId);
+
+      console.log('[TemplateManager] Session closed:', template.name, tabs.length);
+      return { closedTabs: tabs.length, saved };
+    } catch (error) {
+      console.error('[TemplateManager] Failed to close session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the open tabs of a template's launches back into it
+   * Window placement is only kept for templates that span several windows.
+   * @param {Object} template - Template object
+   * @param {Array} tabs - Chrome tabs, in window and tab order
+   * @returns {Promise<boolean>} True if the template was updated
+   */
+  async saveSessionTabs(template, tabs) {
+    const windowCount = (template.windows || []).length;
+    const captured = await tabService.captureTabs(tabs);
+    captured.tabs = captured.tabs.map(({ windowIndex, ...tab }) => 
+      windowCount > 1 ? { ...tab, windowIndex: Math.min(windowIndex, windowCount - 1) } : tab
+    );
+
+    if (captured.tabs.length === 0) return false;
+
+    const { tabs: groupedTabs, groups } = keepGroupIds(template.groups || [], captured);
+    await storageService.mutateTemplate(template.id, current => ({
+      ...current,
+      tabs: groupedTabs,
+      groups
+    }));
+    return true;
+  }
+
+  /**
+   * Get the most recent launch
+   * @returns {Promise<Object|null>} Launch session or null
+   */
+  async getLastLaunch() {
+    return await sessionService.getLastSession();
+  }
+
+  /**
+   * Undo a launch, closing the tabs it opened and reopening the tabs it closed
+   * @param {string} sessionId - Launch session ID
+   * @returns {Promise<Object>} Result {closedTabs, reopenedTabs}
+   */
+  async undoLaunch(sessionId) {
+    try {
+      return await sessionService.undoLaunch(sessionId);
+    } catch (error) {
+      console.error('[TemplateManager] Failed to undo launch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of live templates currently linked to an open window
+   * @returns {Promise<Array<string>>} Template IDs
+   */
+  async getLinkedTemplateIds() {
+    const links = await sessionService.getLinks();
+    return [...new Set(Object.values(links))];
+  }
+
+  /**
+   * Stop keeping a live template in step with its window
+   * The window stays open and the template keeps its last saved tabs.
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async unlinkTemplate(templateId) {
+    try {
+      await sessionService.unlinkTemplate(templateId);
+      return true;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to unlink template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the tabs of a linked window into its live template
+   * Nothing is written while the window still matches the template, so
+   * every auto-update leaves exactly one history entry.
+   * @param {string} templateId - Template ID
+   * @param {number} windowId - Linked window ID
+   * @returns {Promise<boolean>} True if the template was updated
+   */
+  async syncFromWindow(templateId, windowId) {
+    try {
+      const tabs = tabService.filterValidTabs(await tabService.getWindowTabs(windowId));
+
+      // The window is closing, keep the last saved state
+      if (tabs.length === 0) return false;
+
+      const template = await storageService.getTemplate(templateId);
+      if (!template) {
+        throw new Error('Template not found');
+      }
+
+      const captured = keepGroupIds(template.groups || [], await tabService.captureGroups(tabs));
+      if (getLiveContent(captured) === getLiveContent(template)) return false;
+
+      await storageService.mutateTemplate(templateId, current => ({
+        ...current,
+        tabs: captured.tabs,
+        groups: captured.groups
+      }), { source: 'live' });
+
+      return true;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to sync live template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recently closed windows
+   * @returns {Promise<Array>} Auto-sessions, newest first
+   */
+  async getAutoSessions() {
+    return await autoSessionService.getAutoSessions();
+  }
+
+  /**
+   * Reopen a recently closed window
+   * The auto-session is removed once its window is back.
+   * @param {string} autoSessionId - Auto-session ID
+   * @returns {Promise<Object>} Result object with a launch report
+   */
+  async restoreAutoSession(autoSessionId) {
+    try {
+      const autoSession = await autoSessionService.getAutoSession(autoSessionId);
+      if (!autoSession) {
+        throw new Error('Closed window not found');
+      }
+
+      const result = await tabService.openTabs(autoSession.tabs, 'new_window', false, {
+        groups: autoSession.groups,
+        windows: [autoSession.window]
+      });
+
+      if (result.success) {
+        await autoSessionService.deleteAutoSession(autoSessionId);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to restore closed window:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a recently closed window as a template
+   * The window moves from the recently closed list to the templates.
+   * @param {string} autoSessionId - Auto-session ID
+   * @param {string} name - Template name
+   * @param {string} description - Template description (optional)
+   * @returns {Promise<Object>} Created template
+   */
+  async createFromAutoSession(autoSessionId, name, description = '') {
+    try {
+      const nameValidation = validateTemplateName(name);
+      if (!nameValidation.isValid) {
+        throw new Error(nameValidation.error);
+      }
+
+      const autoSession = await autoSessionService.getAutoSession(autoSessionId);
+      if (!autoSession) {
+        throw new Error('Closed window not found');
+      }
+
+      const template = {
+        id: generateUUID(),
+        name: sanitizeTemplateName(name),
+        description: description,
+        color: TEMPLATE.DEFAULT_COLOR,
+        icon: TEMPLATE.DEFAULT_ICON,
+        tabs: autoSession.tabs,
+        groups: autoSession.groups,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        usageCount: 0,
+        syncEnabled: true
+      };
+
+      await storageService.saveTemplate(template);
+      await autoSessionService.deleteAutoSession(autoSessionId);
+
+      return template;
+    } catch (error) {
+      console.error('[TemplateManager] Failed to create from closed window:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a recently closed window
+   * @param {string} autoSessionId - Auto-session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteAutoSession(autoSessionId) {
+    return await autoSessionService.deleteAutoSession(autoSessionId);
+  }
+
   /**
    * Duplicate template
    * @param {string} templateId - Template ID
@@ -312,8 +1230,11 @@ class TemplateManager {
         throw new Error('Template not found');
       }
 
+      // The copy isn't linked to a window, starts its own usage stats and
+      // is stored wherever its sync choice puts it
+      const { live, storageArea, usageCount, lastUsedAt, ...copied } = template;
       const duplicate = {
-        ...template,
+        ...copied,
         id: generateUUID(),
         name: `${template.name} (Copy)`,
         createdAt: new Date().toISOString(),
@@ -415,6 +1336,94 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Get automatic and manual backups
+   * @returns {Promise<Array>} Backup summaries, newest first
+   */
+  async getBackups() {
+    try {
+      return await backupService.getBackups();
+    } catch (error) {
+      console.error('[TemplateManager] Failed to get backups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get full contents of a backup for preview
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<Object|null>} Backup or null if not found
+   */
+  async getBackup(backupId) {
+    try {
+      return await backupService.getBackup(backupId);
+    } catch (error) {
+      console.error('[TemplateManager] Failed to get backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Back up all templates and settings now
+   * @returns {Promise<Object>} Backup summary
+   */
+  async createBackup() {
+    try {
+      return await backupService.createBackup('manual');
+    } catch (error) {
+      console.error('[TemplateManager] Failed to create backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all templates and settings with a backup
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<number>} Number of restored templates
+   */
+  async restoreBackup(backupId) {
+    try {
+      return await backupService.restoreBackup(backupId);
+    } catch (error) {
+      console.error('[TemplateManager] Failed to restore backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the data kept by a failed migration
+   * @returns {Promise<Object|null>} Backup {version, createdAt, templates, settings} or null
+   */
+  async getMigrationBackup() {
+    return await storageService.getMigrationBackup();
+  }
+
+  /**
+   * Restore the data kept by a failed migration
+   * @returns {Promise<number>} Number of templates restored
+   */
+  async restoreMigrationBackup() {
+    try {
+      return await backupService.restoreMigrationBackup();
+    } catch (error) {
+      console.error('[TemplateManager] Failed to restore migration backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the data kept by a failed migration
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteMigrationBackup() {
+    try {
+      return await storageService.deleteMigrationBackup();
+    } catch (error) {
+      console.error('[TemplateManager] Failed to delete migration backup:', error);
+      throw error;
+    }
+  }
+
   /**
    * Import templates
    * @param {Object} importData - Import data
@@ -0,0 +1,123 @@
+/**
+ * Trash Service
+ * Keeps deleted templates in local storage until they are restored or purged
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  /**
+   * Get all trashed templates
+   * @returns {Promise<Array>} Trash items {template, deletedAt}, newest first
+   */
+  async getItems() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.TRASH);
+      const items = result[STORAGE_KEYS.TRASH] || [];
+      return items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    } catch (error) {
+      console.error('[TrashService] Failed to get trash:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Move templates into the trash
+   * @param {Array} templates - Templates to trash
+   * @returns {Promise<boolean>} Success status
+   */
+  async add(templates) {
+    try {
+      const items = await this.getItems();
+      const deletedAt = new Date().toISOString();
+      const ids = new Set(templates.map(t => t.id));
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.TRASH]: [
+          ...templates.map(template => ({ template, deletedAt })),
+          ...items.filter(item => !ids.has(item.template.id))
+        ]
+      });
+      return true;
+    } catch (error) {
+      console.error('[TrashService] Failed to add to trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a template from the trash and return it
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} Trash item or null if not found
+   */
+  async take(templateId) {
+    try {
+      const items = await this.getItems();
+      const item = items.find(i => i.template.id === templateId);
+      if (!item) return null;
+
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.TRASH]: items.filter(i => i !== item)
+      });
+      return item;
+    } catch (error) {
+      console.error('[TrashService] Failed to take from trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a trashed template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async purge(templateId) {
+    try {
+      await this.take(templateId);
+      return true;
+    } catch (error) {
+      console.error('[TrashService] Failed to purge template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete all trashed templates
+   * @returns {Promise<boolean>} Success status
+   */
+  async empty() {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.TRASH]: [] });
+      return true;
+    } catch (error) {
+      console.error('[TrashService] Failed to empty trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete templates trashed longer than the retention period
+   * @param {number} retentionDays - Days to keep deleted templates
+   * @returns {Promise<number>} Number of purged templates
+   */
+  async purgeExpired(retentionDays) {
+    try {
+      const items = await this.getItems();
+      const cutoff = Date.now() - retentionDays * DAY_MS;
+      const remaining = items.filter(item => new Date(item.deletedAt).getTime() > cutoff);
+
+      if (remaining.length !== items.length) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.TRASH]: remaining });
+      }
+      return items.length - remaining.length;
+    } catch (error) {
+      console.error('[TrashService] Failed to purge expired templates:', error);
+      return 0;
+    }
+  }
+}
+
+// Export singleton instance
+export const trashService = new TrashService();
@@ -4,13 +4,24 @@
  */
 
 import { templateManager } from '../services/templateManager.js';
+import { storageService } from '../services/storageService.js';
 import { formatRelativeTime, escapeHtml } from '../utils/helpers.js';
+import { UI, FOLDERS } from '../utils/constants.js';
+
+// Folder shown, empty for all templates
+let currentFolder = '';
 
 // DOM Elements
 const elements = {
   templatesGrid: null,
   emptyState: null,
   loading: null,
+  loadingText: null,
+  launchReport: null,
+  folderFilterGroup: null,
+  folderFilter: null,
+  closedWindows: null,
+  closedWindowsList: null,
   skipBtn: null,
   settingsLink: null,
   createTemplateBtn: null
@@ -28,8 +39,12 @@ async function init() {
   // Attach event listeners
   attachEventListeners();
   
-  // Load templates
+  // Load templates and windows lost since the last session
   await loadTemplates();
+  await loadClosedWindows();
+  
+  // Re-render when templates change in another context
+  storageService.onChange(handleStorageChange);
   
   console.log('[Startup] Initialized');
 }
@@ -41,6 +56,12 @@ function cacheElements() {
   elements.templatesGrid = document.getElementById('templates-grid');
   elements.emptyState = document.getElementById('empty-state');
   elements.loading = document.getElementById('loading');
+  elements.loadingText = document.getElementById('loading-text');
+  elements.launchReport = document.getElementById('launch-report');
+  elements.folderFilterGroup = document.getElementById('folder-filter-group');
+  elements.folderFilter = document.getElementById('folder-filter');
+  elements.closedWindows = document.getElementById('closed-windows');
+  elements.closedWindowsList = document.getElementById('closed-windows-list');
   elements.skipBtn = document.getElementById('skip-btn');
   elements.settingsLink = document.getElementById('settings-link');
   elements.createTemplateBtn = document.getElementById('create-template-btn');
@@ -53,18 +74,34 @@ function attachEventListeners() {
   elements.skipBtn.addEventListener('click', handleSkip);
   elements.settingsLink.addEventListener('click', handleSettings);
   elements.createTemplateBtn.addEventListener('click', handleCreateTemplate);
+  document.getElementById('report-done-btn').addEventListener('click', handleSkip);
+  elements.folderFilter.addEventListener('change', handleFolderFilterChange);
+  
+  // Show progress of launches run by the background
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.type === 'LAUNCH_PROGRESS') {
+      elements.loadingText.textContent = `Opening tabs... ${request.opened}/${request.total} opened`;
+    }
+  });
 }
 
 /**
  * Load templates
+ * @param {boolean} showSpinner - Show loading state while fetching
  */
-async function loadTemplates() {
+async function loadTemplates(showSpinner = true) {
   try {
-    showLoading(true);
+    if (showSpinner) showLoading(true);
+    
+    // A folder that no longer exists shows everything again
+    const folders = await templateManager.getFolders();
+    if (!folders.includes(currentFolder)) currentFolder = '';
+    renderFolderFilter(folders);
     
     const templates = await templateManager.getTemplates({
       sortBy: 'lastUsed',
-      sortOrder: 'desc'
+      sortOrder: 'desc',
+      folder: currentFolder
     });
     
     if (templates.length === 0) {
@@ -81,6 +118,61 @@ async function loadTemplates() {
   }
 }
 
+/**
+ * Handle template changes made in another extension page
+ */
+async function handleStorageChange({ templateIds, listChanged, autoSessionsChanged }) {
+  if (autoSessionsChanged) {
+    await loadClosedWindows();
+  }
+  
+  if (listChanged) {
+    await loadTemplates(false);
+    return;
+  }
+  
+  for (const templateId of templateIds) {
+    const card = elements.templatesGrid.querySelector(`[data-template-id="${templateId}"]`);
+    const template = await templateManager.getTemplate(templateId);
+    
+    // Moving a template changes the folders, and maybe what the filter shows
+    const moved = template && (card ? card.dataset.folder !== (template.folder || '') : Boolean(currentFolder));
+    if (moved) {
+      await loadTemplates(false);
+      return;
+    }
+    
+    if (card && template) {
+      card.replaceWith(createTemplateCard(template));
+    }
+  }
+}
+
+/**
+ * Fill the folder filter, hidden while there are no folders
+ */
+function renderFolderFilter(folders) {
+  elements.folderFilterGroup.classList.toggle('visible', folders.length > 0);
+  
+  elements.folderFilter.innerHTML = [
+    '<option value="">All templates</option>',
+    ...folders.map(folder => {
+      const names = folder.split(FOLDERS.SEPARATOR);
+      const indent = '&nbsp;&nbsp;'.repeat(names.length - 1);
+      return `<option value="${escapeHtml(folder)}">${indent}${escapeHtml(names.pop())}</option>`;
+    })
+  ].join('');
+  elements.folderFilter.value = currentFolder;
+}
+
+/**
+ * Handle folder filter change
+ */
+async function handleFolderFilterChange(e) {
+  currentFolder = e.target.value;
+  await loadTemplates(false);
+}
+
 /**
  * Render templates
  */
@@ -101,6 +193,7 @@ function createTemplateCard(template) {
   const card = document.createElement('div');
   card.className = 'template-card';
   card.dataset.templateId = template.id;
+  card.dataset.folder = template.folder || '';
   
   const tabCount = template.tabs.length;
   const lastUsed = template.lastUsedAt 
@@ -128,6 +221,12 @@ function createTemplateCard(template) {
         <span>🕒</span>
         <span>${lastUsed}</span>
       </span>
+      ${template.folder ? `
+        <span class="template-meta-item" title="${escapeHtml(template.folder)}">
+          <span>📁</span>
+          <span>${escapeHtml(template.folder.split(FOLDERS.SEPARATOR).pop())}</span>
+        </span>
+      ` : ''}
     </div>
   `;
   
@@ -136,12 +235,114 @@ function createTemplateCard(template) {
   return card;
 }
 
+/**
+ * Load recently closed windows
+ */
+async function loadClosedWindows() {
+  try {
+    const autoSessions = await templateManager.getAutoSessions();
+    
+    elements.closedWindows.classList.toggle('visible', autoSessions.length > 0);
+    elements.closedWindowsList.innerHTML = '';
+    autoSessions.forEach(autoSession => {
+      elements.closedWindowsList.appendChild(createClosedWindowItem(autoSession));
+    });
+    
+  } catch (error) {
+    console.error('[Startup] Failed to load closed windows:', error);
+  }
+}
+
+/**
+ * Create closed window item
+ */
+function createClosedWindowItem(autoSession) {
+  const item = document.createElement('li');
+  item.className = 'closed-window-item';
+  
+  const tabCount = autoSession.tabs.length;
+  const [firstTab] = autoSession.tabs;
+  const more = tabCount > 1 ? ` and ${tabCount - 1} more` : '';
+  const time = formatRelativeTime(autoSession.closedAt);
+  const when = {
+    recovered: `Open when the browser last closed, ${time}`,
+    switched: `Switched away ${time}`
+  }[autoSession.reason] || `Closed ${time}`;
+  
+  item.innerHTML = `
+    <div class="closed-window-info">
+      <div class="closed-window-name" title="${escapeHtml(firstTab.title || firstTab.url)}">
+        ${escapeHtml(firstTab.title || firstTab.url)}${more}
+      </div>
+      <div class="closed-window-meta">${when} · ${tabCount} tab${tabCount !== 1 ? 's' : ''}</div>
+    </div>
+    <button class="btn btn-text" data-action="save">Save as Template</button>
+    <button class="btn btn-primary" data-action="restore">Restore</button>
+  `;
+  
+  item.querySelector('[data-action="save"]').addEventListener('click', () => saveClosedWindow(autoSession));
+  item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreClosedWindow(autoSession.id));
+  
+  return item;
+}
+
+/**
+ * Restore closed window
+ */
+async function restoreClosedWindow(autoSessionId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESTORE_AUTO_SESSION',
+      autoSessionId
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+  } catch (error) {
+    console.error('[Startup] Failed to restore closed window:', error);
+    alert('Failed to restore window. Please try again.');
+  }
+}
+
+/**
+ * Save closed window as a template
+ */
+async function saveClosedWindow(autoSession) {
+  const suggested = (autoSession.tabs[0].title || '').substring(0, UI.MAX_TEMPLATE_NAME_LENGTH);
+  const name = prompt('Template name', suggested);
+  if (name === null) return;
+  
+  try {
+    await templateManager.createFromAutoSession(autoSession.id, name.trim());
+  } catch (error) {
+    console.error('[Startup] Failed to save closed window:', error);
+    alert(error.message || 'Failed to save template. Please try again.');
+  }
+}
+
 /**
  * Launch template
  */
 async function launchTemplate(templateId) {
   try {
-    await templateManager.launchTemplate(templateId);
+    elements.loadingText.textContent = 'Opening tabs...';
+    showLoading(true);
+    
+    const response = await chrome.runtime.sendMessage({
+      type: 'LAUNCH_TEMPLATE',
+      templateId
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    // Stay open so broken tabs can be dropped
+    const { report } = response.result;
+    if (report.skipped > 0 || report.failed > 0) {
+      showLaunchReport(templateId, report);
+      return;
+    }
     
     // Close this tab after short delay
     setTimeout(() => {
@@ -150,10 +351,49 @@ async function launchTemplate(templateId) {
     
   } catch (error) {
     console.error('[Startup] Failed to launch template:', error);
+    showLoading(false);
+    elements.loadingText.textContent = 'Loading templates...';
     alert('Failed to launch template. Please try again.');
   }
 }
 
+/**
+ * Show tabs that did not open in a launch
+ */
+function showLaunchReport(templateId, report) {
+  const broken = report.tabs.filter(tab => tab.status === 'skipped_invalid' || tab.status === 'failed');
+  
+  elements.loading.classList.remove('visible');
+  elements.templatesGrid.style.display = 'none';
+  elements.launchReport.classList.add('visible');
+  
+  document.getElementById('launch-report-summary').textContent = 
+    `Opened ${report.opened + report.reused} of ${report.total} tabs. Drop the broken tabs from the template or keep them to fix later.`;
+  
+  const list = document.getElementById('launch-report-list');
+  list.innerHTML = broken.map(tab => `
+    <li class="launch-report-item">
+      <div class="launch-report-url">${escapeHtml(tab.url)}</div>
+      <div class="launch-report-reason">
+        ${tab.status === 'skipped_invalid' ? 'Skipped' : 'Failed'}: ${escapeHtml(tab.reason || 'Unknown error')}
+      </div>
+    </li>
+  `).join('');
+  
+  const dropBtn = document.getElementById('report-drop-btn');
+  dropBtn.onclick = async () => {
+    try {
+      dropBtn.disabled = true;
+      await templateManager.removeTabs(templateId, broken);
+      window.close();
+    } catch (error) {
+      console.error('[Startup] Failed to drop broken tabs:', error);
+      dropBtn.disabled = false;
+      alert('Failed to remove tabs. Please try again.');
+    }
+  };
+}
+
 /**
  * Show empty state
  */
@@ -5,9 +5,25 @@
 
 // Storage keys
 export const STORAGE_KEYS = {
-  TEMPLATES: 'quicksessions_templates',
+  LEGACY_TEMPLATES: 'quicksessions_templates', // Pre-sharding single-key layout
+  TEMPLATE_INDEX: 'quicksessions_template_index',
+  TEMPLATE_PREFIX: 'quicksessions_template_', // + `${templateId}_${chunkIndex}`
   SETTINGS: 'quicksessions_settings',
-  VERSION: 'quicksessions_version'
+  VERSION: 'quicksessions_version',
+  USAGE_PREFIX: 'quicksessions_usage_', // + deviceId, one key per device
+  USAGE_DEVICES: 'quicksessions_devices', // Device IDs that have usage counters
+  DEVICE_ID: 'quicksessions_device_id', // chrome.storage.local
+  TRASH: 'quicksessions_trash', // chrome.storage.local
+  HISTORY_PREFIX: 'quicksessions_history_', // + templateId, chrome.storage.local
+  BACKUP_INDEX: 'quicksessions_backups', // chrome.storage.local
+  BACKUP_PREFIX: 'quicksessions_backup_', // + backupId, chrome.storage.local
+  SESSIONS: 'quicksessions_sessions', // chrome.storage.session, tab IDs don't survive a restart
+  LINKS: 'quicksessions_links', // chrome.storage.session, live template per window ID
+  WINDOW_SNAPSHOTS: 'quicksessions_window_snapshots', // chrome.storage.local, open windows by ID
+  AUTO_SESSIONS: 'quicksessions_auto_sessions', // chrome.storage.local, recently closed windows
+  BOOT_ID: 'quicksessions_boot_id', // chrome.storage.session, cleared when the browser restarts
+  COLLAPSED_FOLDERS: 'quicksessions_collapsed_folders', // chrome.storage.local, folders collapsed in the popup
+  MIGRATION_BACKUP: 'quicksessions_migration_backup' // chrome.storage.local
 };
 
 // Default settings
@@ -16,18 +32,26 @@ export const DEFAULT_SETTINGS = {
   defaultTemplateId: null,
   openBehavior: 'new_window', // 'new_window' | 'current_window' | 'replace_tabs'
   closeExistingTabs: false,
+  lazyLoad: false, // Discard background tabs until they are clicked
+  dedupe: 'off', // 'off' | 'exact' | 'ignore_query' | 'origin_path', reuse already open tabs
+  saveOnCloseSession: false, // Save a launch's tabs back to its template when closing them
+  exclusionRules: [], // {type: 'domain' | 'pattern' | 'regex', value}, tabs left out when saving
   sortBy: 'lastUsed', // 'name' | 'created' | 'lastUsed' | 'usageCount'
   sortOrder: 'desc', // 'asc' | 'desc'
   theme: 'auto', // 'auto' | 'light' | 'dark'
   showFavicons: true,
-  confirmDelete: true
+  confirmDelete: true,
+  trashRetentionDays: 30, // Deleted templates are purged after this many days
+  backupFrequency: 'daily', // 'off' | 'daily' | 'weekly'
+  backupRetention: 7 // Number of automatic backups to keep
 };
 
 // Application metadata
 export const APP_INFO = {
   NAME: 'QuickSessions',
   VERSION: '1.0.0',
-  DATA_VERSION: '1.0.0'
+  DATA_VERSION: '1.2.0',
+  BASE_DATA_VERSION: '1.0.0' // Assumed when no version is stored
 };
 
 // UI Constants
@@ -47,10 +71,57 @@ export const TEMPLATE = {
   MAX_TABS: 100 // Reasonable limit for usability
 };
 
+// Template folders, stored on each template as a path like 'Work/Clients'
+export const FOLDERS = {
+  SEPARATOR: '/',
+  MAX_DEPTH: 5,
+  MAX_NAME_LENGTH: 40,
+  MAX_PATH_LENGTH: 120
+};
+
+// Template launching
+export const LAUNCH = {
+  COMMIT_TIMEOUT_MS: 10000, // Longest wait for a lazy tab's URL before discarding anyway
+  BATCH_SIZE: 8, // Tabs created concurrently per batch
+  DEDUPE_MODES: ['off', 'exact', 'ignore_query', 'origin_path']
+};
+
+// Which tabs a template is saved from
+export const CAPTURE = {
+  SCOPES: ['window', 'highlighted', 'group', 'right', 'left', 'all_windows'],
+  DEFAULT_SCOPE: 'window'
+};
+
+// Rules for tabs left out when saving current tabs
+export const EXCLUSIONS = {
+  RULE_TYPES: ['domain', 'pattern', 'regex'],
+  MAX_RULES: 50,
+  MAX_RULE_LENGTH: 100 // Rules share the settings' single sync storage item
+};
+
+// Browser, file and extension pages, kept in templates as restricted tabs
+export const RESTRICTED = {
+  PROTOCOLS: ['chrome:', 'chrome-extension:', 'chrome-untrusted:', 'devtools:', 'view-source:', 'edge:', 'brave:', 'about:', 'file:'],
+  // Empty pages not worth keeping
+  IGNORED_URLS: ['chrome://newtab/', 'chrome://new-tab-page/', 'edge://newtab/', 'about:blank', 'about:newtab'],
+  PLACEHOLDER_PAGE: 'placeholder/placeholder.html' // Stands in for pages extensions can't open
+};
+
+// Chrome tab groups
+export const TAB_GROUPS = {
+  COLORS: ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'],
+  DEFAULT_COLOR: 'grey'
+};
+
+// Saved window states (chrome.windows.WindowState)
+export const WINDOW_STATES = ['normal', 'minimized', 'maximized', 'fullscreen'];
+
 // Messages and prompts
 export const MESSAGES = {
   SAVE_SUCCESS: 'Template saved successfully',
-  DELETE_SUCCESS: 'Template deleted',
+  DELETE_SUCCESS: 'Template moved to trash',
+  RESTORE_SUCCESS: 'Template restored',
+  PURGE_SUCCESS: 'Template permanently deleted',
   EXPORT_SUCCESS: 'Templates exported',
   IMPORT_SUCCESS: 'Templates imported successfully',
   ERROR_SAVE: 'Failed to save template',
@@ -60,6 +131,7 @@ export const MESSAGES = {
   ERROR_IMPORT: 'Failed to import templates',
   ERROR_INVALID_URL: 'Invalid URL',
   ERROR_NO_TABS: 'No tabs to save',
+  ERROR_ALL_EXCLUDED: 'All tabs are excluded by your exclusion rules',
   CONFIRM_DELETE: 'Are you sure you want to delete this template?'
 };
 
@@ -97,9 +169,59 @@ export const VALIDATION = {
   NAME_PATTERN: /^[\w\s\-_]+$/
 };
 
+// Trash bin
+export const TRASH = {
+  MIN_RETENTION_DAYS: 1,
+  MAX_RETENTION_DAYS: 365
+};
+
+// Automatic backups
+export const BACKUPS = {
+  ALARM_NAME: 'quicksessions_backup',
+  PERIOD_MINUTES: {
+    daily: 24 * 60,
+    weekly: 7 * 24 * 60
+  },
+  MIN_RETENTION: 1,
+  MAX_RETENTION: 30,
+  MAX_MANUAL: 10 // Manual and before-restore backups kept besides the scheduled ones
+};
+
+// Template revision history
+export const HISTORY = {
+  MAX_REVISIONS: 20 // Per template, oldest are dropped first
+};
+
+// Launch sessions, what each launch opened and closed
+export const SESSIONS = {
+  MAX_SESSIONS: 10 // Most recent launches kept for undo
+};
+
+// Live templates, kept in step with the window they were launched into
+export const LIVE = {
+  DEBOUNCE_MS: 5000, // Quiet time after the last tab change before saving
+  MIN_INTERVAL_MS: 30000, // Shortest time between two saves of a window
+  BACKOFF_MS: 60000, // First wait after hitting the sync storage write limits, doubled each time
+  MAX_BACKOFF_MS: 15 * 60 * 1000,
+  RETRY_ALARM_PREFIX: 'quicksessions_live_retry_' // Followed by the window ID
+};
+
+// Automatic snapshots of open windows, kept after they close
+export const AUTO_SESSIONS = {
+  MAX_SESSIONS: 10, // Most recently closed windows kept
+  DEBOUNCE_MS: 1000 // Quiet time after the last tab change before taking a snapshot
+};
+
+// Concurrent write handling
+export const MUTATIONS = {
+  MAX_ATTEMPTS: 5,
+  RETRY_DELAY_MS: 50 // Multiplied by attempt number
+};
+
 // Storage limits (Chrome sync storage)
 export const STORAGE_LIMITS = {
   SYNC_QUOTA_BYTES: 102400, // 100KB
   SYNC_ITEM_MAX_BYTES: 8192, // 8KB
+  CHUNK_MARGIN_BYTES: 64, // Headroom left in every template chunk
   LOCAL_QUOTA_BYTES: 5242880 // 5MB
 };
\ No newline at end of file
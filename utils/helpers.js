@@ -3,6 +3,8 @@
  * Common utilities used throughout the extension
  */
 
+import { FOLDERS } from './constants.js';
+
 /**
  * Generate a UUID v4
  * @returns {string} UUID string
@@ -111,6 +113,15 @@ export function debounce(func, wait) {
   };
 }
 
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Deep clone object
  * @param {Object} obj - Object to clone
@@ -120,6 +131,25 @@ export function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version (e.g., "1.2.0")
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const aParts = String(a).split('.').map(Number);
+  const bParts = String(b).split('.').map(Number);
+  const length = Math.max(aParts.length, bParts.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (aParts[i] || 0) - (bParts[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
 /**
  * Check if object is empty
  * @param {Object} obj - Object to check
@@ -180,6 +210,103 @@ export function getDomain(url) {
   }
 }
 
+/**
+ * Get the part of a URL compared when looking for duplicate tabs
+ * @param {string} url - URL string
+ * @param {string} mode - 'exact' | 'ignore_query' (also ignores the hash) |
+ *   'origin_path' (same page, ignoring www., case and a trailing slash too)
+ * @returns {string} Match key, the URL itself if it can't be parsed
+ */
+export function getUrlMatchKey(url, mode = 'exact') {
+  try {
+    const urlObj = new URL(url);
+    
+    switch (mode) {
+      case 'ignore_query':
+        return `${urlObj.origin}${urlObj.pathname}`;
+      
+      case 'origin_path': {
+        const host = urlObj.host.replace(/^www\./, '');
+        const path = urlObj.pathname.replace(/\/+$/, '').toLowerCase();
+        return `${urlObj.protocol}//${host}${path}`;
+      }
+      
+      default:
+        return urlObj.href;
+    }
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Find the first exclusion rule matching a URL
+ * Domains match their subdomains too, patterns match the whole URL with *
+ * as a wildcard, and regexes match anywhere in the URL. None care about case.
+ * @param {string} url - URL string
+ * @param {Array} rules - Exclusion rules {type, value}
+ * @returns {Object|null} Matching rule or null
+ */
+export function findExclusionRule(url, rules = []) {
+  return rules.find(rule => {
+    try {
+      switch (rule.type) {
+        case 'domain': {
+          const host = new URL(url).hostname.toLowerCase();
+          const domain = rule.value.toLowerCase();
+          return host === domain || host.endsWith(`.${domain}`);
+        }
+        
+        case 'pattern': {
+          const escaped = rule.value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+          return new RegExp(`^${escaped}$`, 'i').test(url);
+        }
+        
+        case 'regex':
+          return new RegExp(rule.value, 'i').test(url);
+        
+        default:
+          return false;
+      }
+    } catch {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Describe an exclusion rule for display
+ * @param {Object} rule - Exclusion rule {type, value}
+ * @returns {string} Description, e.g. "Domain mail.google.com"
+ */
+export function describeExclusionRule(rule) {
+  const labels = { domain: 'Domain', pattern: 'Pattern', regex: 'Regex' };
+  return `${labels[rule.type] || rule.type} ${rule.value}`;
+}
+
+/**
+ * Get a folder path and the paths of the folders containing it
+ * @param {string} folder - Folder path like 'Work/Clients', empty for no folder
+ * @returns {Array<string>} Paths from the top, e.g. ['Work', 'Work/Clients']
+ */
+export function getFolderPaths(folder) {
+  if (!folder) return [];
+  
+  const names = folder.split(FOLDERS.SEPARATOR);
+  return names.map((name, i) => names.slice(0, i + 1).join(FOLDERS.SEPARATOR));
+}
+
+/**
+ * Check if a template's folder is a folder or one of its subfolders
+ * @param {string} templateFolder - Template folder path, empty for no folder
+ * @param {string} folder - Folder path to look in
+ * @returns {boolean} True if inside
+ */
+export function isInFolder(templateFolder, folder) {
+  if (!templateFolder) return false;
+  return templateFolder === folder || templateFolder.startsWith(`${folder}${FOLDERS.SEPARATOR}`);
+}
+
 /**
  * Get favicon URL for domain
  * @param {string} url - URL string
@@ -3,7 +3,7 @@
  * Validates user input and data integrity
  */
 
-import { UI, VALIDATION } from './constants.js';
+import { UI, VALIDATION, TRASH, BACKUPS, TAB_GROUPS, WINDOW_STATES, LAUNCH, RESTRICTED, EXCLUSIONS, FOLDERS } from './constants.js';
 
 /**
  * Validate URL
@@ -30,6 +30,51 @@ export function validateUrl(url) {
   }
 }
 
+/**
+ * Check if a URL is a browser, file or extension page
+ * Such pages can't be opened like web pages, so templates keep them as
+ * restricted tabs. Empty pages like the new tab page don't count.
+ * @param {string} url - URL to check
+ * @returns {boolean} True if restricted
+ */
+export function isRestrictedUrl(url) {
+  if (!url || typeof url !== 'string' || RESTRICTED.IGNORED_URLS.includes(url)) {
+    return false;
+  }
+
+  try {
+    return RESTRICTED.PROTOCOLS.includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the URL of a template tab
+ * Restricted tabs use browser, file or extension URLs instead of http(s).
+ * @param {Object} tab - Tab object {url, restricted?}
+ * @returns {Object} { isValid: boolean, error: string }
+ */
+export function validateTabUrl(tab) {
+  if (!tab.restricted) {
+    return validateUrl(tab.url);
+  }
+
+  if (!tab.url || typeof tab.url !== 'string') {
+    return { isValid: false, error: 'URL is required' };
+  }
+
+  if (tab.url.length > UI.MAX_URL_LENGTH) {
+    return { isValid: false, error: 'URL is too long' };
+  }
+
+  if (!isRestrictedUrl(tab.url)) {
+    return { isValid: false, error: 'Restricted tab must use a browser, file or extension URL' };
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate template name
  * @param {string} name - Template name to validate
@@ -74,6 +119,44 @@ export function validateDescription(description) {
   return { isValid: true, error: null };
 }
 
+/**
+ * Validate template folder path
+ * @param {string} folder - Folder path like 'Work/Clients', empty for no folder
+ * @returns {Object} { isValid: boolean, error: string }
+ */
+export function validateFolderPath(folder) {
+  if (typeof folder !== 'string') {
+    return { isValid: false, error: 'Folder must be a string' };
+  }
+
+  if (folder === '') {
+    return { isValid: true, error: null };
+  }
+
+  if (folder.length > FOLDERS.MAX_PATH_LENGTH) {
+    return { isValid: false, error: `Folder path must be ${FOLDERS.MAX_PATH_LENGTH} characters or less` };
+  }
+
+  const names = folder.split(FOLDERS.SEPARATOR);
+  if (names.length > FOLDERS.MAX_DEPTH) {
+    return { isValid: false, error: `Folders can be nested at most ${FOLDERS.MAX_DEPTH} deep` };
+  }
+
+  for (const name of names) {
+    if (!name || name.trim() !== name) {
+      return { isValid: false, error: 'Folder names cannot be empty' };
+    }
+    if (name.length > FOLDERS.MAX_NAME_LENGTH) {
+      return { isValid: false, error: `Folder names must be ${FOLDERS.MAX_NAME_LENGTH} characters or less` };
+    }
+    if (/[<>]/.test(name)) {
+      return { isValid: false, error: 'Folder names cannot contain < or >' };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate tab object
  * @param {Object} tab - Tab object to validate
@@ -84,7 +167,7 @@ export function validateTab(tab) {
     return { isValid: false, error: 'Tab must be an object' };
   }
 
-  const urlValidation = validateUrl(tab.url);
+  const urlValidation = validateTabUrl(tab);
   if (!urlValidation.isValid) {
     return urlValidation;
   }
@@ -93,6 +176,98 @@ export function validateTab(tab) {
     return { isValid: false, error: 'Tab title is required' };
   }
 
+  // Validate optional state flags
+  for (const flag of ['pinned', 'active', 'muted', 'restricted']) {
+    if (tab[flag] !== undefined && typeof tab[flag] !== 'boolean') {
+      return { isValid: false, error: `Tab ${flag} must be boolean` };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate tab group
+ * @param {Object} group - Tab group {id, title, color, collapsed}
+ * @returns {Object} { isValid: boolean, error: string }
+ */
+export function validateTabGroup(group) {
+  if (!group || typeof group !== 'object') {
+    return { isValid: false, error: 'Tab group must be an object' };
+  }
+
+  if (!group.id || typeof group.id !== 'string') {
+    return { isValid: false, error: 'Tab group ID is required' };
+  }
+
+  if (typeof group.title !== 'string') {
+    return { isValid: false, error: 'Tab group title must be a string' };
+  }
+
+  if (!TAB_GROUPS.COLORS.includes(group.color)) {
+    return { isValid: false, error: 'Invalid tab group color' };
+  }
+
+  if (typeof group.collapsed !== 'boolean') {
+    return { isValid: false, error: 'Tab group collapsed must be boolean' };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate saved window
+ * @param {Object} savedWindow - Window {state, left, top, width, height}
+ * @returns {Object} { isValid: boolean, error: string }
+ */
+export function validateWindow(savedWindow) {
+  if (!savedWindow || typeof savedWindow !== 'object') {
+    return { isValid: false, error: 'Window must be an object' };
+  }
+
+  if (!WINDOW_STATES.includes(savedWindow.state)) {
+    return { isValid: false, error: 'Invalid window state' };
+  }
+
+  for (const key of ['left', 'top', 'width', 'height']) {
+    if (savedWindow[key] !== undefined && !Number.isInteger(savedWindow[key])) {
+      return { isValid: false, error: `Window ${key} must be an integer` };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate a template's own launch options
+ * Every field is optional, missing ones fall back to settings.
+ * @param {Object} launchOptions - Launch options {openBehavior, closeExisting, lazyLoad, dedupe, focus, windowState}
+ * @returns {Object} { isValid: boolean, error: string }
+ */
+export function validateLaunchOptions(launchOptions) {
+  if (!launchOptions || typeof launchOptions !== 'object' || Array.isArray(launchOptions)) {
+    return { isValid: false, error: 'Launch options must be an object' };
+  }
+
+  const validOpenBehaviors = ['new_window', 'current_window', 'replace_tabs'];
+  if (launchOptions.openBehavior !== undefined && !validOpenBehaviors.includes(launchOptions.openBehavior)) {
+    return { isValid: false, error: 'Invalid open behavior' };
+  }
+
+  for (const key of ['closeExisting', 'lazyLoad', 'focus']) {
+    if (launchOptions[key] !== undefined && typeof launchOptions[key] !== 'boolean') {
+      return { isValid: false, error: `${key} must be boolean` };
+    }
+  }
+
+  if (launchOptions.dedupe !== undefined && !LAUNCH.DEDUPE_MODES.includes(launchOptions.dedupe)) {
+    return { isValid: false, error: 'Invalid tab matching mode' };
+  }
+
+  if (launchOptions.windowState !== undefined && !WINDOW_STATES.includes(launchOptions.windowState)) {
+    return { isValid: false, error: 'Invalid window state' };
+  }
+
   return { isValid: true, error: null };
 }
 
@@ -133,6 +308,75 @@ export function validateTemplate(template) {
     }
   }
 
+  // Validate tab groups (optional)
+  const groups = template.groups || [];
+  if (!Array.isArray(groups)) {
+    return { isValid: false, error: 'Template groups must be an array' };
+  }
+
+  for (let i = 0; i < groups.length; i++) {
+    const groupValidation = validateTabGroup(groups[i]);
+    if (!groupValidation.isValid) {
+      return { 
+        isValid: false, 
+        error: `Group ${i + 1}: ${groupValidation.error}` 
+      };
+    }
+  }
+
+  const groupIds = new Set(groups.map(group => group.id));
+  for (let i = 0; i < template.tabs.length; i++) {
+    const { groupId } = template.tabs[i];
+    if (groupId !== undefined && !groupIds.has(groupId)) {
+      return { isValid: false, error: `Tab ${i + 1}: Unknown tab group` };
+    }
+  }
+
+  // Validate windows (optional)
+  const windows = template.windows || [];
+  if (!Array.isArray(windows)) {
+    return { isValid: false, error: 'Template windows must be an array' };
+  }
+
+  for (let i = 0; i < windows.length; i++) {
+    const windowValidation = validateWindow(windows[i]);
+    if (!windowValidation.isValid) {
+      return { 
+        isValid: false, 
+        error: `Window ${i + 1}: ${windowValidation.error}` 
+      };
+    }
+  }
+
+  for (let i = 0; i < template.tabs.length; i++) {
+    const { windowIndex } = template.tabs[i];
+    if (windowIndex !== undefined &&
+        (!Number.isInteger(windowIndex) || windowIndex < 0 || windowIndex >= Math.max(windows.length, 1))) {
+      return { isValid: false, error: `Tab ${i + 1}: Unknown window` };
+    }
+  }
+
+  // Validate folder (optional)
+  if (template.folder !== undefined) {
+    const folderValidation = validateFolderPath(template.folder);
+    if (!folderValidation.isValid) {
+      return { isValid: false, error: `Folder: ${folderValidation.error}` };
+    }
+  }
+
+  // Validate live mode (optional)
+  if (template.live !== undefined && typeof template.live !== 'boolean') {
+    return { isValid: false, error: 'live must be boolean' };
+  }
+
+  // Validate launch options (optional)
+  if (template.launchOptions !== undefined) {
+    const launchValidation = validateLaunchOptions(template.launchOptions);
+    if (!launchValidation.isValid) {
+      return { isValid: false, error: `Launch options: ${launchValidation.error}` };
+    }
+  }
+
   // Validate timestamps
   if (!template.createdAt || !isValidDate(template.createdAt)) {
     return { isValid: false, error: 'Invalid createdAt timestamp' };
@@ -147,6 +391,56 @@ export function validateTemplate(template) {
     return { isValid: false, error: 'Invalid usage count' };
   }
 
+  // Validate storage preference and location (optional)
+  if (template.syncEnabled !== undefined && typeof template.syncEnabled !== 'boolean') {
+    return { isValid: false, error: 'syncEnabled must be boolean' };
+  }
+
+  if (template.storageArea !== undefined && !['sync', 'local'].includes(template.storageArea)) {
+    return { isValid: false, error: 'Invalid storage area' };
+  }
+
+  if (template.revision !== undefined && (!Number.isInteger(template.revision) || template.revision < 0)) {
+    return { isValid: false, error: 'Invalid revision' };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate exclusion rule
+ * @param {Object} rule - Exclusion rule {type, value}
+ * @returns {Object} { isValid: boolean, error: string }
+ */
+export function validateExclusionRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return { isValid: false, error: 'Exclusion rule must be an object' };
+  }
+
+  if (!EXCLUSIONS.RULE_TYPES.includes(rule.type)) {
+    return { isValid: false, error: 'Invalid exclusion rule type' };
+  }
+
+  if (!rule.value || typeof rule.value !== 'string' || rule.value.trim() !== rule.value) {
+    return { isValid: false, error: 'Exclusion rule is required' };
+  }
+
+  if (rule.value.length > EXCLUSIONS.MAX_RULE_LENGTH) {
+    return { isValid: false, error: `Exclusion rule must be ${EXCLUSIONS.MAX_RULE_LENGTH} characters or less` };
+  }
+
+  if (rule.type === 'domain' && !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(rule.value)) {
+    return { isValid: false, error: 'Domain must look like mail.google.com' };
+  }
+
+  if (rule.type === 'regex') {
+    try {
+      new RegExp(rule.value);
+    } catch {
+      return { isValid: false, error: 'Invalid regular expression' };
+    }
+  }
+
   return { isValid: true, error: null };
 }
 
@@ -172,6 +466,11 @@ export function validateSettings(settings) {
     return { isValid: false, error: 'Invalid open behavior' };
   }
 
+  // Validate dedupe
+  if (!LAUNCH.DEDUPE_MODES.includes(settings.dedupe)) {
+    return { isValid: false, error: 'Invalid tab matching mode' };
+  }
+
   // Validate sortBy
   const validSortBy = ['name', 'created', 'lastUsed', 'usageCount'];
   if (!validSortBy.includes(settings.sortBy)) {
@@ -194,6 +493,12 @@ export function validateSettings(settings) {
   if (typeof settings.closeExistingTabs !== 'boolean') {
     return { isValid: false, error: 'closeExistingTabs must be boolean' };
   }
+  if (typeof settings.lazyLoad !== 'boolean') {
+    return { isValid: false, error: 'lazyLoad must be boolean' };
+  }
+  if (typeof settings.saveOnCloseSession !== 'boolean') {
+    return { isValid: false, error: 'saveOnCloseSession must be boolean' };
+  }
   if (typeof settings.showFavicons !== 'boolean') {
     return { isValid: false, error: 'showFavicons must be boolean' };
   }
@@ -201,6 +506,38 @@ export function validateSettings(settings) {
     return { isValid: false, error: 'confirmDelete must be boolean' };
   }
 
+  // Validate exclusion rules
+  if (!Array.isArray(settings.exclusionRules)) {
+    return { isValid: false, error: 'exclusionRules must be an array' };
+  }
+  if (settings.exclusionRules.length > EXCLUSIONS.MAX_RULES) {
+    return { isValid: false, error: `Maximum ${EXCLUSIONS.MAX_RULES} exclusion rules` };
+  }
+  for (const rule of settings.exclusionRules) {
+    const ruleValidation = validateExclusionRule(rule);
+    if (!ruleValidation.isValid) {
+      return ruleValidation;
+    }
+  }
+
+  // Validate trash retention
+  if (!Number.isInteger(settings.trashRetentionDays) ||
+      settings.trashRetentionDays < TRASH.MIN_RETENTION_DAYS ||
+      settings.trashRetentionDays > TRASH.MAX_RETENTION_DAYS) {
+    return { isValid: false, error: `Trash retention must be ${TRASH.MIN_RETENTION_DAYS}-${TRASH.MAX_RETENTION_DAYS} days` };
+  }
+
+  // Validate automatic backups
+  const validBackupFrequencies = ['off', 'daily', 'weekly'];
+  if (!validBackupFrequencies.includes(settings.backupFrequency)) {
+    return { isValid: false, error: 'Invalid backup frequency' };
+  }
+  if (!Number.isInteger(settings.backupRetention) ||
+      settings.backupRetention < BACKUPS.MIN_RETENTION ||
+      settings.backupRetention > BACKUPS.MAX_RETENTION) {
+    return { isValid: false, error: `Backups to keep must be ${BACKUPS.MIN_RETENTION}-${BACKUPS.MAX_RETENTION}` };
+  }
+
   return { isValid: true, error: null };
 }
 
@@ -258,6 +595,21 @@ export function sanitizeTemplateName(name) {
     .replace(/[<>]/g, ''); // Remove potential XSS characters
 }
 
+/**
+ * Sanitize folder path
+ * Trims every folder name and drops empty ones, so ' Work // Clients/'
+ * becomes 'Work/Clients'.
+ * @param {string} folder - Folder path to sanitize
+ * @returns {string} Sanitized path, empty for no folder
+ */
+export function sanitizeFolderPath(folder) {
+  return folder
+    .split(FOLDERS.SEPARATOR)
+    .map(name => name.replace(/[<>]/g, '').trim())
+    .filter(Boolean)
+    .join(FOLDERS.SEPARATOR);
+}
+
 /**
  * Sanitize URL
  * @param {string} url - URL to sanitize